@@ -1,37 +1,101 @@
 // Background service worker for Kibana as Code - handles file downloads
 
-// Import logger
-importScripts('../shared/logger.js');
+// Import logger and shared export helpers
+importScripts(
+  '../shared/logger.js',
+  '../shared/settings.js',
+  '../shared/filename.js',
+  '../shared/profiles.js',
+  '../shared/saved-objects.js',
+  '../shared/connectors.js',
+  '../shared/fleet.js',
+  '../shared/terraform.js',
+  '../shared/create-ready.js',
+  '../shared/cases.js',
+  '../shared/history.js'
+);
 
 /**
- * Sanitize a string for use as a filename
+ * Get MIME type for file extension
  */
-function sanitizeFilename(name) {
-  return name
-    .replace(/[<>:"/\\|?*]/g, '-')  // Replace invalid chars
-    .replace(/\s+/g, '-')           // Replace whitespace with dashes
-    .replace(/-+/g, '-')            // Collapse multiple dashes
-    .replace(/^-|-$/g, '')          // Remove leading/trailing dashes
-    .substring(0, 200);             // Limit length
+function getMimeType(extension) {
+  const mimeTypes = {
+    'ndjson': 'application/x-ndjson',
+    'json': 'application/json',
+    'tf': 'text/plain',
+    'sh': 'text/plain',
+    'md': 'text/markdown',
+    'yml': 'text/yaml',
+    'zip': 'application/zip',
+  };
+  return mimeTypes[extension] || 'application/octet-stream';
 }
 
 /**
- * Generate the filename for a saved object export
+ * Apply normalization and the selected output format to a prepared export (see prepareExport)
+ * Returns the content and file extension to download, plus companion files for some formats
  */
-function generateFilename(title, type, extension = 'ndjson') {
-  const sanitizedTitle = sanitizeFilename(title || 'untitled');
-  return `${sanitizedTitle}-${type}.${extension}`;
+function applyOutputFormat(prepared, fileExtension, meta, settings) {
+  let { content } = prepared;
+  if (settings.normalizeExports) {
+    content = normalizeExport(content, fileExtension, meta.type);
+  }
+  
+  const companions = settings.bundleConnectors && meta.type === 'alert'
+    ? bundledConnectorFiles(meta.connectors, meta, settings)
+    : [];
+  if (meta.type === 'cases') {
+    companions.push({ suffix: 'report', content: renderCaseReport(JSON.parse(content)), fileExtension: 'md' });
+  }
+  // e.g. the full agent policy of a Fleet export
+  companions.push(...prepared.companions);
+  
+  // Types Terraform can't manage (e.g. detection rules) stay native
+  if (settings.outputFormat === 'terraform') {
+    const terraform = toTerraform(content, meta);
+    if (terraform !== null) {
+      return { content: terraform, fileExtension: 'tf', companions };
+    }
+  }
+  
+  if (settings.outputFormat === 'expanded' && fileExtension === 'ndjson') {
+    const expanded = expandNdjson(content, { sortKeys: settings.normalizeExports });
+    return { content: expanded, fileExtension: 'json', companions };
+  }
+  
+  // Types without a create-ready form (e.g. saved objects other than dashboards) stay native
+  if (settings.outputFormat === 'api') {
+    const createReady = toCreateReady(content, { ...meta, bundleConnectors: settings.bundleConnectors });
+    if (createReady) {
+      return { content: createReady.content, fileExtension: 'json', companions: [...createReady.companions, ...companions] };
+    }
+  }
+  return { content, fileExtension, companions };
 }
 
 /**
- * Get MIME type for file extension
+ * Companion files for the connectors a rule references, in the selected output format
+ * Preconfigured connectors live in kibana.yml and are left out
  */
-function getMimeType(extension) {
-  const mimeTypes = {
-    'ndjson': 'application/x-ndjson',
-    'json': 'application/json',
-  };
-  return mimeTypes[extension] || 'application/octet-stream';
+function bundledConnectorFiles(connectors, meta, settings) {
+  return (connectors || [])
+    .filter(connector => !connector.is_preconfigured)
+    .map(connector => {
+      const suffix = `connector-${sanitizeFilename(connector.name || connector.id)}`;
+      if (settings.outputFormat === 'terraform') {
+        const connectorMeta = { type: 'action', title: connector.name, spaceId: meta.spaceId };
+        return { suffix, content: toTerraform(JSON.stringify(connector), connectorMeta), fileExtension: 'tf' };
+      }
+      const body = settings.outputFormat === 'api' ? toCreateReadyConnector(connector) : redactConnector(connector);
+      return { suffix, content: JSON.stringify(body, null, 2), fileExtension: 'json' };
+    });
+}
+
+/**
+ * Name a companion file after its main file: <name>.<suffix>.<extension>
+ */
+function companionFilename(filename, companion) {
+  return `${filename.replace(/\.[^./]+$/, '')}.${companion.suffix}.${companion.fileExtension}`;
 }
 
 /**
@@ -53,22 +117,174 @@ async function downloadAsFile(content, filename, extension = 'ndjson') {
   return downloadId;
 }
 
+/**
+ * Record an export in the history store
+ * Failures are logged but never fail the download itself
+ */
+async function recordExport({ content, companions = [], connectors = [], fileExtension, baseUrl, spaceId, type, subType, id, title, filename, raw = false }) {
+  try {
+    await addHistoryEntry({
+      content,
+      companions,
+      connectors,
+      prepared: !raw,
+      fileExtension,
+      host: baseUrl ? new URL(baseUrl).host : null,
+      baseUrl: baseUrl || null,
+      spaceId,
+      type,
+      subType: subType || null,
+      id: id || null,
+      title,
+      filename,
+      raw,
+    });
+  } catch (error) {
+    logger.warn('Failed to record export history:', error);
+  }
+}
+
+/**
+ * Offscreen document used to build archives and serve them as blob URLs
+ */
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen/offscreen.html';
+let creatingOffscreenDocument = null;
+
+/**
+ * Make sure the offscreen document exists (only one may be open at a time)
+ */
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH)],
+  });
+  if (contexts.length > 0) {
+    return;
+  }
+  
+  if (!creatingOffscreenDocument) {
+    creatingOffscreenDocument = chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT_PATH,
+      reasons: ['BLOBS'],
+      justification: 'Build ZIP archives and download them via blob URLs',
+    });
+  }
+  
+  try {
+    await creatingOffscreenDocument;
+  } finally {
+    creatingOffscreenDocument = null;
+  }
+}
+
+/**
+ * Give each archive entry a unique name by appending a counter on collisions
+ */
+function uniqueFilename(filename, usedNames) {
+  let candidate = filename;
+  let counter = 2;
+  while (usedNames.has(candidate)) {
+    candidate = filename.replace(/(\.[^.]+)?$/, `-${counter}$1`);
+    counter++;
+  }
+  usedNames.add(candidate);
+  return candidate;
+}
+
+/**
+ * Build a ZIP in the offscreen document and download it from a blob URL
+ * Avoids base64-encoding the whole archive into a data URL
+ */
+async function downloadAsZip(files, filename) {
+  await ensureOffscreenDocument();
+  
+  const response = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'createZipUrl', files });
+  if (!response || !response.success) {
+    throw new Error(response?.error || 'Failed to build ZIP archive');
+  }
+  
+  const downloadId = await chrome.downloads.download({
+    url: response.url,
+    filename: filename,
+    saveAs: true,
+  });
+  
+  // Release the blob once the download has finished (or failed)
+  const onChanged = (delta) => {
+    if (delta.id === downloadId && delta.state && delta.state.current !== 'in_progress') {
+      chrome.downloads.onChanged.removeListener(onChanged);
+      chrome.runtime.sendMessage({ target: 'offscreen', action: 'revokeUrl', url: response.url });
+    }
+  };
+  chrome.downloads.onChanged.addListener(onChanged);
+  
+  return downloadId;
+}
+
 /**
  * Handle messages from popup or content scripts
  */
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'getExportSettings') {
+    getExportSettingsForUrl(request.url || sender.tab?.url)
+      .then(settings => sendResponse({ success: true, settings }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+  
   if (request.action === 'downloadFile') {
-    const { content, title, type, fileExtension = 'ndjson' } = request;
+    const { content, title, type, subType, id, fileExtension = 'ndjson', spaceId, baseUrl, connectors, raw = false } = request;
+    const recordHistory = !raw && request.recordHistory !== false;
     
     (async () => {
       try {
-        // Generate filename
-        const filename = generateFilename(title, type, fileExtension);
+        // Secrets are redacted before anything else, history included (re-downloads are prepared already)
+        const prepared = raw || request.prepared
+          ? { content, companions: request.companions || [] }
+          : prepareExport(content, type);
+        
+        // Convert to the selected output format (raw content is downloaded as-is)
+        const settings = await getExportSettingsForUrl(baseUrl || sender.tab?.url);
+        const output = raw
+          ? { content, fileExtension, companions: [] }
+          : applyOutputFormat(prepared, fileExtension, { title, type, id, spaceId, baseUrl, connectors }, settings);
+        
+        // Generate filename (an explicit filename wins over the template)
+        const filename = request.filename
+          ? `${sanitizeFilename(request.filename)}.${output.fileExtension}`
+          : generateFilename({ title, type, subType, id, spaceId, baseUrl }, output.fileExtension, settings);
         
-        // Download the file
-        await downloadAsFile(content, filename, fileExtension);
+        // Companion files are zipped with the main file: one Save As dialog, and they stay together
+        let downloadedFilename = filename;
+        if (output.companions.length > 0) {
+          downloadedFilename = `${filename.replace(/\.[^./]+$/, '')}.zip`;
+          const name = filename.split('/').pop();
+          await downloadAsZip([
+            { name, content: output.content },
+            ...output.companions.map(companion => ({ name: companionFilename(name, companion), content: companion.content })),
+          ], downloadedFilename);
+        } else {
+          await downloadAsFile(output.content, filename, output.fileExtension);
+        }
         
-        sendResponse({ success: true, filename });
+        // Keep the prepared export, before the output format, so it can be re-downloaded in any format later
+        if (recordHistory) {
+          await recordExport({
+            content: prepared.content,
+            companions: prepared.companions,
+            connectors: (connectors || []).map(redactConnector),
+            fileExtension,
+            baseUrl,
+            spaceId,
+            type,
+            subType,
+            id,
+            title,
+            filename: downloadedFilename,
+          });
+        }
+        
+        sendResponse({ success: true, filename: downloadedFilename });
       } catch (error) {
         logger.error('Download error:', error);
         sendResponse({ success: false, error: error.message });
@@ -78,6 +294,91 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     // Return true to indicate async response
     return true;
   }
+  
+  if (request.action === 'downloadZip') {
+    const { files, manifest, title, type, spaceId, baseUrl } = request;
+    
+    (async () => {
+      try {
+        const settings = await getExportSettingsForUrl(baseUrl || sender.tab?.url);
+        const usedNames = new Set(['manifest.json']);
+        
+        // One entry per object, named by the filename template
+        const entries = files.map(file => {
+          const extension = file.fileExtension || 'ndjson';
+          const meta = { title: file.title, type: file.type, id: file.id, spaceId: file.spaceId || spaceId, baseUrl, connectors: file.connectors };
+          const output = applyOutputFormat(prepareExport(file.content, file.type), extension, meta, settings);
+          const name = uniqueFilename(
+            generateFilename({ ...meta, subType: file.subType, id: file.id }, output.fileExtension, settings),
+            usedNames
+          );
+          const companions = output.companions.map(companion => ({
+            name: uniqueFilename(companionFilename(name, companion), usedNames),
+            content: companion.content,
+          }));
+          return { name, content: output.content, companions, file };
+        });
+        
+        const manifestContent = {
+          ...(manifest || {}),
+          objects: entries.map(({ name, file }) => ({
+            type: file.type,
+            id: file.id,
+            title: file.title,
+            file: name,
+          })),
+        };
+        
+        const zipFiles = [
+          ...entries.flatMap(({ name, content, companions }) => [{ name, content }, ...companions]),
+          { name: 'manifest.json', content: JSON.stringify(manifestContent, null, 2) },
+        ];
+        
+        const filename = generateFilename({ title, type, spaceId, baseUrl }, 'zip', settings);
+        await downloadAsZip(zipFiles, filename);
+        
+        // One history entry per ZIP (its manifest): a space export would otherwise push out the whole history
+        await recordExport({
+          content: JSON.stringify(manifestContent, null, 2),
+          fileExtension: 'json',
+          baseUrl,
+          spaceId,
+          type,
+          id: null,
+          title,
+          filename,
+          raw: true,
+        });
+        
+        sendResponse({ success: true, filename, count: entries.length });
+      } catch (error) {
+        logger.error('ZIP download error:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    
+    return true;
+  }
+});
+
+/**
+ * Replace the old "Space in Filename" toggle with an equivalent filename template
+ */
+async function migrateFilenameSettings() {
+  const { includeSpaceInFilename, exportSettings } = await chrome.storage.local.get(['includeSpaceInFilename', 'exportSettings']);
+  if (includeSpaceInFilename === undefined) {
+    return;
+  }
+  
+  if (includeSpaceInFilename && !exportSettings?.filenameTemplate) {
+    // The old option only prefixed non-default spaces (the leading dash is trimmed otherwise)
+    await saveExportSettings({ filenameTemplate: '{nonDefaultSpace}-{title}-{type}' });
+  }
+  await chrome.storage.local.remove('includeSpaceInFilename');
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+  migrateFilenameSettings().catch(error => logger.warn('Failed to migrate filename settings:', error));
 });
 
 // Log service worker activation
@@ -1,4 +1,5 @@
 // Content script for detecting Kibana pages and extracting resource context
+// Injected after shared/saved-objects.js (see shared/content-script.js)
 
 // Guard against multiple injections
 if (window.__kibanaExporterLoaded) {
@@ -58,87 +59,1006 @@ logger.init();
 
 /**
  * URL patterns for different Kibana saved object types
+ * Matched against the app-relative URL (base path and space prefix removed)
  * IDs can be UUIDs or custom strings - capture until query params or end
  */
 const KIBANA_PATTERNS = {
-  dashboard: /\/app\/dashboards#\/view\/([^?&]+)/,
-  visualization: /\/app\/visualize#\/edit\/([^?&]+)/,
-  lens: /\/app\/lens#\/edit\/([^?&]+)/,
-  search: /\/app\/discover#\/view\/([^?&]+)/,
-  map: /\/app\/maps#\/map\/([^?&]+)/,
-  'index-pattern': /\/app\/management\/kibana\/indexPatterns\/patterns\/([^?&]+)/,
-  query: /\/app\/management\/kibana\/objects\/savedQueries\/([^?&]+)/,
+  dashboard: /^\/app\/dashboards#\/view\/([^?&]+)/,
+  visualization: /^\/app\/visualize#\/edit\/([^?&]+)/,
+  lens: /^\/app\/lens#\/edit\/([^?&]+)/,
+  search: /^\/app\/discover#\/view\/([^?&]+)/,
+  map: /^\/app\/maps#\/map\/([^?&]+)/,
+  'index-pattern': /^\/app\/management\/kibana\/indexPatterns\/patterns\/([^?&]+)/,
+  query: /^\/app\/management\/kibana\/objects\/savedQueries\/([^?&]+)/,
   // SLO patterns
-  slo: /\/app\/slos\/([^?&/]+)/,
+  slo: /^\/app\/slos\/([^?&/]+)/,
   // Alerting rules
-  alert: /\/app\/management\/insightsAndAlerting\/triggersActions\/rule\/([^?&]+)/,
-  // Cases
-  cases: /\/app\/security\/cases\/([^?&]+)/,
+  alert: /^\/app\/management\/insightsAndAlerting\/triggersActions\/rule\/([^?&]+)/,
+  // Connectors
+  action: /^\/app\/management\/insightsAndAlerting\/triggersActionsConnectors\/connectors\/([^?&/]+)/,
+  // Security detection rules and exception lists (by list_id)
+  'security-rule': /^\/app\/security\/rules\/id\/([^?&/#]+)/,
+  'exception-list': /^\/app\/security\/exceptions\/details\/([^?&/#]+)/,
+  // Fleet integration (package) policies, matched before the agent policy they sit under
+  'package-policy': /^\/app\/(?:fleet\/policies\/[^/?#]+|integrations)\/edit-integration\/([^?&/#]+)/,
+  // Fleet agent policies
+  'agent-policy': /^\/app\/fleet\/policies\/([^?&/#]+)/,
+  // Cases (security, observability and stack management; not the create/configure pages)
+  cases: /^\/app\/(?:security|observability|management\/insightsAndAlerting)\/cases\/(?!create\/?(?:[?#]|$)|configure\/?(?:[?#]|$))([^?&/#]+)/,
 };
 
+/**
+ * List pages exported as a whole (the collection of objects they list)
+ * Matched like KIBANA_PATTERNS, but carry no ID; label names the listed objects
+ * (a function when it depends on the page state)
+ */
+const KIBANA_LIST_PATTERNS = {
+  slo: {
+    pattern: /^\/app\/(?:observability\/)?slos\/?(?:[?#]|$)/,
+    label: 'SLOs',
+  },
+  action: {
+    pattern: /^\/app\/management\/insightsAndAlerting\/triggersActionsConnectors(?:\/connectors)?\/?(?:[?#]|$)/,
+    label: 'connectors',
+  },
+  'security-rule': {
+    pattern: /^\/app\/security\/rules(?:\/management)?\/?(?:[?#]|$)/,
+    label: 'detection rules',
+  },
+  'exception-list': {
+    pattern: /^\/app\/security\/exceptions\/?(?:[?#]|$)/,
+    label: 'exception lists',
+  },
+  'anomaly-detector': {
+    pattern: /^\/app\/ml\/jobs\/?(?:[?#]|$)/,
+    label: () => {
+      const { group } = getMlJobSelection();
+      return group ? `anomaly detection jobs in group ${group}` : 'anomaly detection jobs';
+    },
+  },
+  'data-frame-analytics': {
+    pattern: /^\/app\/ml\/data_frame_analytics\/?(?:[?#]|$)/,
+    label: 'data frame analytics jobs',
+  },
+  timeline: {
+    pattern: /^\/app\/security\/timelines(?:\/(?:default|template))?\/?(?:[?#]|$)/,
+    label: () => getTimelineListType() === 'template' ? 'timeline templates' : 'timelines',
+  },
+};
+
+/**
+ * Dashboard panel types that have a saved object (library) form
+ */
+const LIBRARY_PANEL_TYPES = ['lens', 'visualization', 'map', 'search'];
+
+/**
+ * Reference types followed when exporting a synthetic panel
+ */
+const PANEL_REFERENCE_TYPES = ['index-pattern', 'search', 'tag', 'event-annotation-group'];
+
+/**
+ * Reference types followed when exporting a links panel (the dashboards it links to)
+ */
+const LINKS_REFERENCE_TYPES = [...PANEL_REFERENCE_TYPES, 'dashboard'];
+
+/**
+ * Reference types followed when exporting a dashboard section (its library panels and their references)
+ */
+const SECTION_REFERENCE_TYPES = [...PANEL_REFERENCE_TYPES, ...LIBRARY_PANEL_TYPES, 'links'];
+
+/**
+ * Friendly names of dashboard control types, shown as the control's subtype
+ */
+const CONTROL_TYPE_NAMES = {
+  optionsListControl: 'options list',
+  rangeSliderControl: 'range slider',
+  timeSlider: 'time slider',
+  esqlControl: 'esql',
+};
+
+/**
+ * File kind Kibana stores image panel uploads under
+ */
+const IMAGE_FILE_KIND = 'imageEmbeddable';
+
+/**
+ * Migration versions of the types synthetic exports create, oldest first
+ * A synthetic object is stamped with the newest one the cluster's Kibana version has reached
+ */
+const TYPE_MIGRATION_VERSIONS = {
+  lens: ['7.7.0', '7.8.0', '7.10.0', '7.11.0', '7.12.0', '7.13.0', '7.13.1', '7.14.0', '7.15.0', '7.16.0',
+    '8.1.0', '8.2.0', '8.3.0', '8.5.0', '8.6.0', '8.9.0'],
+  visualization: ['7.10.0', '7.11.0', '7.12.0', '7.13.0', '7.13.1', '7.14.0', '7.17.0', '8.0.0', '8.1.0', '8.3.0', '8.5.0'],
+  map: ['7.10.0', '7.12.0', '7.14.0', '8.0.0', '8.1.0', '8.4.0'],
+  search: ['7.9.3', '7.12.0', '8.0.0'],
+};
+
+/**
+ * Version assumed for synthetic exports when the cluster's version is unknown
+ */
+const FALLBACK_KIBANA_VERSION = '8.9.0';
+
+/**
+ * Root saved object fields and the Kibana version that introduced them (older versions reject them)
+ */
+const SAVED_OBJECT_FIELD_VERSIONS = {
+  managed: '8.10.0',
+  created_at: '8.10.0',
+};
+
+/**
+ * How long a Kibana version read from /api/status is reused for the same host
+ */
+const KIBANA_VERSION_CACHE_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * URL patterns of Kibana before 7.10, where apps lived under /app/kibana#/
+ */
+const LEGACY_KIBANA_PATTERNS = {
+  dashboard: /^\/app\/kibana#\/dashboard\/([^?&/]+)/,
+  visualization: /^\/app\/kibana#\/visualize\/edit\/([^?&/]+)/,
+  search: /^\/app\/kibana#\/discover\/([^?&/]+)/,
+  'index-pattern': /^\/app\/kibana#\/management\/kibana\/index_patterns\/([^?&/]+)/,
+};
+
+/**
+ * API version requested from the Dashboards API
+ */
+const DASHBOARDS_API_VERSION = '2023-10-31';
+
+/**
+ * Page size when listing SLOs through the find API
+ */
+const SLO_FIND_PAGE_SIZE = 100;
+
+/**
+ * Page size for the detection rule and exception list find APIs
+ */
+const SECURITY_FIND_PAGE_SIZE = 100;
+
+/**
+ * Headers the ML plugin's internal routes require
+ */
+const ML_INTERNAL_HEADERS = {
+  'elastic-api-version': '1',
+  'x-elastic-internal-origin': 'Kibana',
+};
+
+/**
+ * Page size when listing Fleet package policies
+ */
+const FLEET_FIND_PAGE_SIZE = 100;
+
+/**
+ * Page size when fetching case user actions
+ */
+const CASE_USER_ACTIONS_PAGE_SIZE = 100;
+
+/**
+ * Page size when listing timelines
+ */
+const TIMELINE_FIND_PAGE_SIZE = 100;
+
+/**
+ * Space ID Kibana uses when the URL carries no /s/<space-id>/ prefix
+ */
+const DEFAULT_SPACE_ID = 'default';
+
+/**
+ * Kibana server.basePath (e.g. '/kibana'), resolved once by discoverKibanaBasePath()
+ * null until discovery has run
+ */
+let kibanaBasePath = null;
+
+/**
+ * Kibana version (e.g. '8.15.2'), resolved once by discoverKibanaVersion()
+ * null until discovery has run, '' when it could not be determined
+ */
+let kibanaVersion = null;
+
 /**
  * Types that require alternative APIs (not the saved objects export API)
+ * Each entry either GETs apiPath(id) as JSON or provides its own export(id) returning content;
+ * list() returns the objects of a list page (each with id and name), and exportAll() the content
+ * for the whole list (defaults to the listed objects as a JSON array); describe(id) optionally
+ * returns details the URL lacks ({ title, subType })
  */
 const ALTERNATIVE_API_TYPES = {
   slo: {
     apiPath: (id) => `/api/observability/slos/${id}`,
+    list: () => findListedSlos(),
     fileExtension: 'json',
   },
   alert: {
     apiPath: (id) => `/api/alerting/rule/${id}`,
     fileExtension: 'json',
   },
+  action: {
+    apiPath: (id) => `/api/actions/connector/${id}`,
+    list: () => listConnectors(),
+    fileExtension: 'json',
+  },
+  'security-rule': {
+    export: (id) => exportSecurityRules([id]),
+    list: () => findSecurityRules(),
+    exportAll: () => exportSecurityRules(),
+    fileExtension: 'ndjson',
+  },
+  'exception-list': {
+    export: (listId) => exportExceptionList(listId),
+    list: () => findExceptionLists(),
+    exportAll: () => exportAllExceptionLists(),
+    fileExtension: 'ndjson',
+  },
+  timeline: {
+    export: (id) => exportTimelines([id]),
+    describe: (id) => describeTimeline(id),
+    list: () => findTimelines(),
+    exportAll: async () => exportTimelines((await findTimelines()).map(timeline => timeline.id)),
+    fileExtension: 'ndjson',
+  },
+  'anomaly-detector': {
+    export: (id) => exportAnomalyDetectors(id),
+    list: () => findAnomalyDetectors(),
+    exportAll: () => exportAnomalyDetectors(getAnomalyDetectorExpression()),
+    fileExtension: 'json',
+  },
+  'data-frame-analytics': {
+    export: (id) => exportDataFrameAnalytics(id),
+    list: () => findDataFrameAnalytics(),
+    exportAll: () => exportDataFrameAnalytics('_all'),
+    fileExtension: 'json',
+  },
+  'agent-policy': {
+    export: (id) => exportAgentPolicy(id),
+    fileExtension: 'json',
+  },
+  'package-policy': {
+    apiPath: (id) => `/api/fleet/package_policies/${id}`,
+    fileExtension: 'json',
+  },
+  cases: {
+    export: (id) => exportCase(id),
+    describe: async (id) => ({ title: (await getCase(id)).title }),
+    fileExtension: 'json',
+  },
 };
 
 /**
- * Types that are not exportable via any known API
+ * Types that are not exportable via any known API
+ */
+const NON_EXPORTABLE_TYPES = {};
+
+/**
+ * Get the export settings that apply to this Kibana (global settings plus the matching host profile)
+ */
+async function getExportSettingsForPage() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getExportSettings', url: getKibanaBaseUrl() });
+    return response?.settings || {};
+  } catch (error) {
+    logger.warn('Could not load export settings:', error);
+    return {};
+  }
+}
+
+/**
+ * Export a saved object using the Kibana API (called from content script context)
+ */
+async function exportSavedObject(type, id, includeReferencesDeep = true) {
+  const exportUrl = getKibanaApiUrl('/api/saved_objects/_export');
+  
+  const body = {
+    objects: [{ type, id }],
+    includeReferencesDeep,
+  };
+
+  const response = await fetch(exportUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'kbn-xsrf': 'true',
+    },
+    credentials: 'include',
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Export failed: ${response.status} ${response.statusText} - ${errorText}`);
+  }
+
+  return await response.text();
+}
+
+/**
+ * Page size for _find and batch size for _export during a space export
+ */
+const SPACE_EXPORT_PAGE_SIZE = 1000;
+const SPACE_EXPORT_BATCH_SIZE = 100;
+
+/**
+ * _find can't page past Elasticsearch's max_result_window; space exports stop there
+ */
+const SPACE_EXPORT_MAX_RESULTS = 10000;
+
+/**
+ * Send a JSON request to a space-scoped Kibana API path
+ */
+async function kibanaApiRequest(apiPath, method = 'GET', body = undefined, headers = {}) {
+  const response = await fetch(getKibanaApiUrl(apiPath), {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'kbn-xsrf': 'true',
+      ...headers,
+    },
+    credentials: 'include',
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Request to ${apiPath} failed: ${response.status} ${response.statusText} - ${errorText}`);
+  }
+
+  return response;
+}
+
+/**
+ * List the tags defined in the current space
+ */
+async function listTags() {
+  const params = new URLSearchParams({ type: 'tag', per_page: String(SPACE_EXPORT_PAGE_SIZE), fields: 'name' });
+  const response = await kibanaApiRequest(`/api/saved_objects/_find?${params}`);
+  const data = await response.json();
+  return (data.saved_objects || []).map(tag => ({ id: tag.id, name: tag.attributes?.name || tag.id }));
+}
+
+/**
+ * Page through /api/saved_objects/_find for the given types, optionally limited to objects
+ * carrying any of the given tags
+ * Stops at SPACE_EXPORT_MAX_RESULTS; returns { objects, total, truncated }
+ */
+async function findSavedObjects(types, tagIds = []) {
+  const objects = [];
+  let page = 1;
+  let total = Infinity;
+
+  while (objects.length < total && page * SPACE_EXPORT_PAGE_SIZE <= SPACE_EXPORT_MAX_RESULTS) {
+    const params = new URLSearchParams({ per_page: String(SPACE_EXPORT_PAGE_SIZE), page: String(page) });
+    types.forEach(type => params.append('type', type));
+    params.append('fields', 'title');
+    params.append('fields', 'name');
+    if (tagIds.length > 0) {
+      params.set('has_reference', JSON.stringify(tagIds.map(id => ({ type: 'tag', id }))));
+      params.set('has_reference_operator', 'OR');
+    }
+
+    const response = await kibanaApiRequest(`/api/saved_objects/_find?${params}`);
+    const data = await response.json();
+    const pageObjects = data.saved_objects || [];
+    total = data.total || 0;
+
+    for (const object of pageObjects) {
+      objects.push({
+        type: object.type,
+        id: object.id,
+        title: object.attributes?.title || object.attributes?.name || object.id,
+      });
+    }
+
+    if (pageObjects.length === 0) {
+      break;
+    }
+    page++;
+  }
+
+  return { objects, total, truncated: objects.length < total };
+}
+
+/**
+ * Split NDJSON export content into saved object lines and the export summary
+ */
+function splitExportLines(content) {
+  const objects = [];
+  let summary = null;
+  for (const line of content.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    const parsed = JSON.parse(line);
+    if (isExportSummary(parsed)) {
+      summary = parsed;
+    } else {
+      objects.push({ parsed, line });
+    }
+  }
+  return { objects, summary };
+}
+
+/**
+ * Report progress of a long-running operation to the side panel
+ */
+function reportProgress(action, done, total, message) {
+  chrome.runtime.sendMessage({ action, done, total, message }).catch(() => {
+    // Nobody listening (side panel closed)
+  });
+}
+
+/**
+ * Export every saved object of the given types (and tags) in the current space
+ * Returns one NDJSON document per object plus any missing references Kibana reported,
+ * and whether the object list was truncated at SPACE_EXPORT_MAX_RESULTS (with the full total)
+ */
+async function exportSpace(types, tagIds = []) {
+  reportProgress('exportSpaceProgress', 0, 0, 'Finding saved objects...');
+  const { objects: found, total, truncated } = await findSavedObjects(types, tagIds);
+  if (truncated) {
+    logger.warn(`Space export limited to the first ${found.length} of ${total} objects`);
+  }
+  const titles = new Map(found.map(object => [`${object.type}:${object.id}`, object.title]));
+
+  const exported = [];
+  const missingReferences = [];
+  for (let i = 0; i < found.length; i += SPACE_EXPORT_BATCH_SIZE) {
+    const batch = found.slice(i, i + SPACE_EXPORT_BATCH_SIZE);
+    reportProgress('exportSpaceProgress', i, found.length, `Exporting ${i + 1}-${i + batch.length} of ${found.length}...`);
+
+    const response = await kibanaApiRequest('/api/saved_objects/_export', 'POST', {
+      objects: batch.map(({ type, id }) => ({ type, id })),
+      includeReferencesDeep: false,
+    });
+    const { objects, summary } = splitExportLines(await response.text());
+
+    for (const { parsed, line } of objects) {
+      exported.push({
+        type: parsed.type,
+        id: parsed.id,
+        title: titles.get(`${parsed.type}:${parsed.id}`) || parsed.attributes?.title || parsed.id,
+        content: line,
+      });
+    }
+    missingReferences.push(...(summary?.missingReferences || []));
+  }
+
+  reportProgress('exportSpaceProgress', found.length, found.length, `Exported ${exported.length} objects`);
+  return { objects: exported, missingReferences, truncated, total };
+}
+
+/**
+ * Import NDJSON saved objects into a Kibana space (the current one unless options.spaceId is set)
+ * options: { overwrite, createNewCopies, compatibilityMode, spaceId }
+ */
+async function importSavedObjects(content, filename, options = {}) {
+  const params = new URLSearchParams();
+  if (options.overwrite) {
+    params.set('overwrite', 'true');
+  }
+  if (options.createNewCopies) {
+    params.set('createNewCopies', 'true');
+  }
+  if (options.compatibilityMode) {
+    params.set('compatibilityMode', 'true');
+  }
+  
+  const query = params.toString();
+  const importUrl = getKibanaApiUrl(`/api/saved_objects/_import${query ? `?${query}` : ''}`, options.spaceId || getKibanaSpaceId());
+  
+  // Kibana only accepts files with an .ndjson extension
+  const uploadName = (filename || 'export.ndjson').replace(/(\.ndjson)?$/i, '.ndjson');
+  const formData = new FormData();
+  formData.append('file', new Blob([content], { type: 'application/ndjson' }), uploadName);
+
+  const response = await fetch(importUrl, {
+    method: 'POST',
+    headers: {
+      'kbn-xsrf': 'true',
+    },
+    credentials: 'include',
+    body: formData,
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Import failed: ${response.status} ${response.statusText} - ${errorText}`);
+  }
+
+  return await response.json();
+}
+
+/**
+ * Export a resource using an alternative API (for types not supported by saved objects export)
+ */
+async function exportViaAlternativeApi(type, id) {
+  const apiConfig = ALTERNATIVE_API_TYPES[type];
+  if (!apiConfig) {
+    throw new Error(`No alternative API configured for type: ${type}`);
+  }
+  
+  if (apiConfig.export) {
+    return apiConfig.export(id);
+  }
+  
+  const url = getKibanaApiUrl(apiConfig.apiPath(id));
+  
+  const response = await fetch(url, {
+    method: 'GET',
+    headers: {
+      'Content-Type': 'application/json',
+      'kbn-xsrf': 'true',
+    },
+    credentials: 'include',
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Export failed: ${response.status} ${response.statusText} - ${errorText}`);
+  }
+
+  const data = await response.json();
+  
+  // Return as formatted JSON (pretty printed for readability)
+  return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Export everything a list page shows, for types that have a list()
+ */
+async function exportAllViaAlternativeApi(type) {
+  const apiConfig = ALTERNATIVE_API_TYPES[type];
+  if (apiConfig.exportAll) {
+    return apiConfig.exportAll();
+  }
+  return JSON.stringify(await apiConfig.list(), null, 2);
+}
+
+/**
+ * Read the ID of the timeline open in the security app's flyout
+ * (?timeline=(activeTab:query,id:'...',isOpen:!t) in rison), or null when none is open or it is unsaved
+ */
+function getOpenTimelineId() {
+  const state = new URLSearchParams(window.location.search).get('timeline') || '';
+  if (!state.includes('isOpen:!t')) {
+    return null;
+  }
+  const match = state.match(/(?:^\(|,)id:'?([^',)]+)'?/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Which kind of timeline the timelines list page shows: 'default' or 'template'
+ */
+function getTimelineListType() {
+  return /\/app\/security\/timelines\/template\b/.test(getAppRelativeUrl()) ? 'template' : 'default';
+}
+
+/**
+ * Look up a timeline's title and kind (timeline or template)
+ */
+async function describeTimeline(id) {
+  const response = await kibanaApiRequest(`/api/timeline?${new URLSearchParams({ id })}`);
+  const data = await response.json();
+  // Older versions wrap the timeline in a GraphQL-style envelope
+  const timeline = data.data?.getOneTimeline || data;
+  return {
+    title: timeline.title || 'Untitled timeline',
+    subType: timeline.timelineType === 'template' ? 'template' : undefined,
+  };
+}
+
+/**
+ * List the saved timelines (or templates) of the timelines list page; unsaved drafts are skipped
+ */
+async function findTimelines() {
+  const timelineType = getTimelineListType();
+  const timelines = [];
+  let pageIndex = 1;
+  let total = Infinity;
+
+  while ((pageIndex - 1) * TIMELINE_FIND_PAGE_SIZE < total) {
+    const params = new URLSearchParams({
+      page_index: String(pageIndex),
+      page_size: String(TIMELINE_FIND_PAGE_SIZE),
+      sort_field: 'updated',
+      sort_order: 'desc',
+      timeline_type: timelineType,
+    });
+    const response = await kibanaApiRequest(`/api/timelines?${params}`);
+    const data = await response.json();
+    total = data.totalCount || 0;
+    if (!data.timeline || data.timeline.length === 0) {
+      break;
+    }
+    timelines.push(...data.timeline
+      .filter(timeline => timeline.status !== 'draft')
+      .map(timeline => ({ id: timeline.savedObjectId, name: timeline.title || 'Untitled timeline' })));
+    pageIndex++;
+  }
+
+  return timelines;
+}
+
+/**
+ * Export timelines (with their notes and pinned events) as NDJSON
+ */
+async function exportTimelines(ids) {
+  const params = new URLSearchParams({ file_name: 'timelines_export.ndjson' });
+  const response = await kibanaApiRequest(`/api/timeline/_export?${params}`, 'POST', { ids });
+  return response.text();
+}
+
+/**
+ * Read the ML job selection from the ML app's URL state
+ * Anomaly explorer and single metric viewer: ?_g=(ml:(jobIds:!(a,b))); data frame analytics
+ * exploration: ?_g=(ml:(jobId:x)); jobs list: a "groups:name" search in ?_a=(...queryText:'...')
+ * Returns { kind, jobIds, group }, kind being 'anomaly-detector' or 'data-frame-analytics'
+ */
+function getMlJobSelection() {
+  const params = new URLSearchParams(window.location.search);
+  const globalState = params.get('_g') || '';
+  const appState = params.get('_a') || '';
+  const unquote = value => value.replace(/^'|'$/g, '').replace(/!(.)/g, '$1');
+
+  if (/^\/app\/ml\/data_frame_analytics\//.test(getAppRelativeUrl())) {
+    const match = globalState.match(/jobId:('(?:[^'!]|!.)*'|[^,)]+)/);
+    return { kind: 'data-frame-analytics', jobIds: match ? [unquote(match[1])] : [], group: null };
+  }
+
+  const jobIdsMatch = globalState.match(/jobIds:!\(([^)]*)\)/);
+  const jobIds = jobIdsMatch && jobIdsMatch[1] ? jobIdsMatch[1].split(',').map(unquote) : [];
+  const queryMatch = appState.match(/queryText:'((?:[^'!]|!.)*)'/);
+  const groupMatch = queryMatch ? unquote(queryMatch[1]).match(/\bgroups:\(?([\w.-]+)\)?/) : null;
+  return { kind: 'anomaly-detector', jobIds, group: groupMatch ? groupMatch[1] : null };
+}
+
+/**
+ * GET an ML plugin route; 8.11+ serves them as internal routes, earlier versions under /api/ml
+ */
+async function mlApiRequest(path) {
+  if (!kibanaVersionAtLeast('8.11.0')) {
+    const response = await kibanaApiRequest(`/api/ml${path}`);
+    return response.json();
+  }
+  
+  try {
+    const response = await kibanaApiRequest(`/internal/ml${path}`, 'GET', undefined, ML_INTERNAL_HEADERS);
+    return await response.json();
+  } catch (error) {
+    logger.log(`Internal ML route failed, trying /api/ml${path}`);
+    const response = await kibanaApiRequest(`/api/ml${path}`);
+    return response.json();
+  }
+}
+
+/**
+ * Export anomaly detection jobs with their datafeeds, in the format of the ML app's job export
+ * ([{ job, datafeed }]); expression is a job ID, group name or _all
+ */
+async function exportAnomalyDetectors(expression) {
+  const { jobs = [] } = await mlApiRequest(`/anomaly_detectors/${encodeURIComponent(expression)}`);
+  const { datafeeds = [] } = await mlApiRequest('/datafeeds');
+  const datafeedsByJob = new Map(datafeeds.map(datafeed => [datafeed.job_id, datafeed]));
+  const exported = jobs.map(job => ({ job, datafeed: datafeedsByJob.get(job.job_id) || null }));
+  return JSON.stringify(exported, null, 2);
+}
+
+/**
+ * Job expression for the anomaly detection jobs the page shows: the selected group,
+ * the jobs open in the explorer, or all of them
+ */
+function getAnomalyDetectorExpression() {
+  const { jobIds, group } = getMlJobSelection();
+  return group || (jobIds.length > 0 ? jobIds.join(',') : '_all');
+}
+
+/**
+ * List the anomaly detection jobs the page shows
+ */
+async function findAnomalyDetectors() {
+  const expression = getAnomalyDetectorExpression();
+  const { jobs = [] } = await mlApiRequest(`/anomaly_detectors/${encodeURIComponent(expression)}`);
+  return jobs.map(job => ({ id: job.job_id, name: job.job_id }));
+}
+
+/**
+ * Export data frame analytics jobs as an array of their configs; id may be _all
+ */
+async function exportDataFrameAnalytics(id) {
+  const path = id === '_all' ? '/data_frame/analytics' : `/data_frame/analytics/${encodeURIComponent(id)}`;
+  const { data_frame_analytics: analytics = [] } = await mlApiRequest(path);
+  return JSON.stringify(analytics, null, 2);
+}
+
+/**
+ * List all data frame analytics jobs
+ */
+async function findDataFrameAnalytics() {
+  const { data_frame_analytics: analytics = [] } = await mlApiRequest('/data_frame/analytics');
+  return analytics.map(job => ({ id: job.id, name: job.id }));
+}
+
+/**
+ * List the package policies of an agent policy
+ * Filtered here rather than by KQL: 8.15+ also assigns them to several policies via policy_ids
+ */
+async function findPackagePolicies(agentPolicyId) {
+  const packagePolicies = [];
+  let page = 1;
+  let total = Infinity;
+
+  while ((page - 1) * FLEET_FIND_PAGE_SIZE < total) {
+    const params = new URLSearchParams({ page: String(page), perPage: String(FLEET_FIND_PAGE_SIZE) });
+    const response = await kibanaApiRequest(`/api/fleet/package_policies?${params}`);
+    const data = await response.json();
+    total = data.total || 0;
+    if (!data.items || data.items.length === 0) {
+      break;
+    }
+    packagePolicies.push(...data.items.filter(packagePolicy =>
+      packagePolicy.policy_id === agentPolicyId || packagePolicy.policy_ids?.includes(agentPolicyId)
+    ));
+    page++;
+  }
+
+  return packagePolicies;
+}
+
+/**
+ * Export an agent policy as a bundle: { agentPolicy, packagePolicies, fullAgentPolicy }
+ * fullAgentPolicy is the "full agent policy" as JSON, so its secrets can be redacted before it's written as YAML
+ */
+async function exportAgentPolicy(id) {
+  const policyPath = `/api/fleet/agent_policies/${encodeURIComponent(id)}`;
+  const { item: agentPolicy } = await (await kibanaApiRequest(policyPath)).json();
+  const packagePolicies = await findPackagePolicies(id);
+
+  let fullAgentPolicy = null;
+  try {
+    ({ item: fullAgentPolicy } = await (await kibanaApiRequest(`${policyPath}/full`)).json());
+  } catch (error) {
+    logger.warn(`Could not fetch the full agent policy for ${id}:`, error);
+  }
+
+  return JSON.stringify({ agentPolicy, packagePolicies, fullAgentPolicy }, null, 2);
+}
+
+/**
+ * Fetch a case
+ */
+async function getCase(id) {
+  const response = await kibanaApiRequest(`/api/cases/${encodeURIComponent(id)}`);
+  return response.json();
+}
+
+/**
+ * Fetch all user actions of a case, oldest first
+ */
+async function findCaseUserActions(id) {
+  const userActions = [];
+  let page = 1;
+  let total = Infinity;
+
+  while (userActions.length < total) {
+    const params = new URLSearchParams({ page: String(page), perPage: String(CASE_USER_ACTIONS_PAGE_SIZE), sortOrder: 'asc' });
+    const response = await kibanaApiRequest(`/api/cases/${encodeURIComponent(id)}/user_actions/_find?${params}`);
+    const data = await response.json();
+    total = data.total || 0;
+    if (!data.userActions || data.userActions.length === 0) {
+      break;
+    }
+    userActions.push(...data.userActions);
+    page++;
+  }
+
+  return userActions;
+}
+
+/**
+ * Export a case as a JSON bundle: { case, comments, userActions }
+ * The background renders the Markdown report from it
+ */
+async function exportCase(id) {
+  const caseInfo = await getCase(id);
+  // Older versions embed (some) comments in the case; the full list is fetched below
+  delete caseInfo.comments;
+  const commentsResponse = await kibanaApiRequest(`/api/cases/${encodeURIComponent(id)}/comments`);
+  const comments = await commentsResponse.json();
+  const userActions = await findCaseUserActions(id);
+  return JSON.stringify({ case: caseInfo, comments, userActions }, null, 2);
+}
+
+/**
+ * Look up the connectors referenced by a rule's actions[]
+ * Connectors that can't be read (deleted, no privileges) are skipped
+ */
+async function fetchRuleConnectors(rule) {
+  const ids = Array.from(new Set((rule.actions || []).map(action => action.id)));
+  const connectors = [];
+  for (const id of ids) {
+    try {
+      const response = await kibanaApiRequest(`/api/actions/connector/${encodeURIComponent(id)}`);
+      connectors.push(await response.json());
+    } catch (error) {
+      logger.warn(`Could not resolve connector ${id}:`, error);
+    }
+  }
+  return connectors;
+}
+
+/**
+ * Read the KQL filter of the SLO list page from its URL state
+ * (?search=(kqlQuery:'...',...) in rison), or '' when unfiltered
+ */
+function getSloListQuery() {
+  const search = new URLSearchParams(window.location.search).get('search') || '';
+  const match = search.match(/kqlQuery:'((?:[^'!]|!.)*)'/);
+  return match ? match[1].replace(/!(.)/g, '$1') : '';
+}
+
+/**
+ * Fetch the definitions of the SLOs listed on the SLO list page (honouring its search filter)
+ * Grouped SLOs are listed once per instance, so results are de-duplicated by ID
+ */
+async function findListedSlos() {
+  const byId = new Map();
+  const kqlQuery = getSloListQuery();
+  let page = 1;
+  let total = Infinity;
+
+  while ((page - 1) * SLO_FIND_PAGE_SIZE < total) {
+    const params = new URLSearchParams({ page: String(page), perPage: String(SLO_FIND_PAGE_SIZE) });
+    if (kqlQuery) {
+      params.set('kqlQuery', kqlQuery);
+    }
+    const response = await kibanaApiRequest(`/api/observability/slos?${params}`);
+    const data = await response.json();
+    total = data.total || 0;
+    for (const slo of data.results || []) {
+      if (!byId.has(slo.id)) {
+        byId.set(slo.id, slo);
+      }
+    }
+    if (!data.results || data.results.length === 0) {
+      break;
+    }
+    page++;
+  }
+
+  return Array.from(byId.values());
+}
+
+/**
+ * List the connectors of the current space
+ * System actions are built in and can't be recreated, so they are left out
+ */
+async function listConnectors() {
+  const response = await kibanaApiRequest('/api/actions/connectors');
+  const connectors = await response.json();
+  return connectors.filter(connector => !connector.is_system_action);
+}
+
+/**
+ * List security detection rules (all pages of the find API)
+ */
+async function findSecurityRules() {
+  const rules = [];
+  let page = 1;
+  let total = Infinity;
+
+  while (rules.length < total) {
+    const params = new URLSearchParams({ page: String(page), per_page: String(SECURITY_FIND_PAGE_SIZE) });
+    const response = await kibanaApiRequest(`/api/detection_engine/rules/_find?${params}`);
+    const data = await response.json();
+    total = data.total || 0;
+    if (!data.data || data.data.length === 0) {
+      break;
+    }
+    rules.push(...data.data);
+    page++;
+  }
+
+  return rules;
+}
+
+/**
+ * Export security detection rules as NDJSON, with the exception lists they use
+ * ids are rule object IDs; omit them to export every rule
+ */
+async function exportSecurityRules(ids = null) {
+  let body;
+  if (ids) {
+    // The export API addresses rules by rule_id, the page URL by object ID
+    const objects = [];
+    for (const id of ids) {
+      const response = await kibanaApiRequest(`/api/detection_engine/rules?id=${encodeURIComponent(id)}`);
+      const rule = await response.json();
+      objects.push({ rule_id: rule.rule_id });
+    }
+    body = { objects };
+  }
+
+  const response = await kibanaApiRequest('/api/detection_engine/rules/_export?exclude_export_details=false', 'POST', body);
+  return response.text();
+}
+
+/**
+ * List exception lists of both namespaces (space-specific and agnostic)
  */
-const NON_EXPORTABLE_TYPES = {
-  cases: 'Cases are not exportable via any known API',
-};
+async function findExceptionLists() {
+  const lists = [];
+  let page = 1;
+  let total = Infinity;
+
+  while (lists.length < total) {
+    const params = new URLSearchParams({
+      namespace_type: 'single,agnostic',
+      page: String(page),
+      per_page: String(SECURITY_FIND_PAGE_SIZE),
+    });
+    const response = await kibanaApiRequest(`/api/exception_lists/_find?${params}`);
+    const data = await response.json();
+    total = data.total || 0;
+    if (!data.data || data.data.length === 0) {
+      break;
+    }
+    lists.push(...data.data.map(list => ({ id: list.list_id, name: list.name, namespace_type: list.namespace_type })));
+    page++;
+  }
+
+  return lists;
+}
 
 /**
- * Export a saved object using the Kibana API (called from content script context)
+ * Look up an exception list by list_id, trying the space namespace before the agnostic one
+ * unless the namespace is known
  */
-async function exportSavedObject(type, id) {
-  const baseUrl = getKibanaBaseUrl();
-  const exportUrl = `${baseUrl}/api/saved_objects/_export`;
-  
-  const body = {
-    objects: [{ type, id }],
-    includeReferencesDeep: true,
-  };
+async function getExceptionList(listId, knownNamespaceType = null) {
+  const namespaceTypes = knownNamespaceType ? [knownNamespaceType] : ['single', 'agnostic'];
+  for (const namespaceType of namespaceTypes) {
+    const params = new URLSearchParams({ list_id: listId, namespace_type: namespaceType });
+    try {
+      const response = await kibanaApiRequest(`/api/exception_lists?${params}`);
+      return await response.json();
+    } catch (error) {
+      logger.log(`Exception list ${listId} not found as ${namespaceType}`);
+    }
+  }
+  throw new Error(`Exception list not found: ${listId}`);
+}
 
-  const response = await fetch(exportUrl, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'kbn-xsrf': 'true',
-    },
-    credentials: 'include',
-    body: JSON.stringify(body),
+/**
+ * Export an exception list and its items as NDJSON
+ */
+async function exportExceptionList(listId, namespaceType = null) {
+  const list = await getExceptionList(listId, namespaceType);
+  const params = new URLSearchParams({
+    id: list.id,
+    list_id: list.list_id,
+    namespace_type: list.namespace_type,
+    include_expired_exceptions: 'true',
   });
+  const response = await kibanaApiRequest(`/api/exception_lists/_export?${params}`, 'POST');
+  return response.text();
+}
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Export failed: ${response.status} ${response.statusText} - ${errorText}`);
+/**
+ * Export every exception list into one NDJSON file (per-list export details are dropped)
+ */
+async function exportAllExceptionLists() {
+  const lines = [];
+  for (const list of await findExceptionLists()) {
+    const { objects } = splitExportLines(await exportExceptionList(list.id, list.namespace_type));
+    lines.push(...objects.map(({ line }) => line));
   }
-
-  return await response.text();
+  return lines.join('\n');
 }
 
 /**
- * Export a resource using an alternative API (for types not supported by saved objects export)
+ * Fetch dashboard data via API to get embedded panel configs
  */
-async function exportViaAlternativeApi(type, id) {
-  const apiConfig = ALTERNATIVE_API_TYPES[type];
-  if (!apiConfig) {
-    throw new Error(`No alternative API configured for type: ${type}`);
-  }
-  
-  const baseUrl = getKibanaBaseUrl();
-  const apiPath = apiConfig.apiPath(id);
-  const url = `${baseUrl}${apiPath}`;
+async function fetchDashboardData(dashboardId) {
+  const url = getKibanaApiUrl(`/api/saved_objects/dashboard/${dashboardId}`);
   
   const response = await fetch(url, {
     method: 'GET',
@@ -150,50 +1070,178 @@ async function exportViaAlternativeApi(type, id) {
   });
 
   if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Export failed: ${response.status} ${response.statusText} - ${errorText}`);
+    throw new Error(`Failed to fetch dashboard: ${response.status}`);
   }
 
+  return await response.json();
+}
+
+/**
+ * Fetch a dashboard through the Dashboards API (/api/dashboards/dashboard/{id})
+ */
+async function fetchDashboardFromApi(dashboardId) {
+  const response = await kibanaApiRequest(
+    `/api/dashboards/dashboard/${encodeURIComponent(dashboardId)}`,
+    'GET',
+    undefined,
+    { 'elastic-api-version': DASHBOARDS_API_VERSION }
+  );
   const data = await response.json();
-  
-  // Return as formatted JSON (pretty printed for readability)
-  return JSON.stringify(data, null, 2);
+  return data.item || data;
 }
 
 /**
- * Fetch dashboard data via API to get embedded panel configs
+ * Bring dashboard panels into the saved object layout (embeddableConfig, gridData, panelIndex)
+ * The Dashboards API names these panelConfig/config, grid and uid, and nests panels in sections;
+ * panels of a section get its ID and title as sectionId and sectionTitle
  */
-async function fetchDashboardData(dashboardId) {
-  const baseUrl = getKibanaBaseUrl();
-  const url = `${baseUrl}/api/saved_objects/dashboard/${dashboardId}`;
-  
-  const response = await fetch(url, {
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json',
-      'kbn-xsrf': 'true',
-    },
-    credentials: 'include',
+function normalizeDashboardPanels(panels, section = null) {
+  return (panels || []).flatMap(entry => {
+    if (Array.isArray(entry.panels)) {
+      return normalizeDashboardPanels(entry.panels, normalizeDashboardSection(entry));
+    }
+    const { panelConfig, config, grid, uid, ...panel } = entry;
+    const gridData = entry.gridData || grid || {};
+    return [{
+      ...panel,
+      panelIndex: entry.panelIndex || uid || gridData.i,
+      gridData,
+      embeddableConfig: entry.embeddableConfig || panelConfig || config || {},
+      ...(section ? { sectionId: section.id, sectionTitle: section.title } : {}),
+    }];
   });
+}
 
-  if (!response.ok) {
-    throw new Error(`Failed to fetch dashboard: ${response.status}`);
+/**
+ * Bring a collapsible section into one shape: { id, title, collapsed, gridData }
+ * Saved objects list sections in attributes.sections; the Dashboards API nests them in panels
+ */
+function normalizeDashboardSection(section) {
+  const gridData = section.gridData || section.grid || {};
+  return {
+    id: gridData.i || section.uid || section.id || section.title,
+    title: section.title || 'Untitled section',
+    collapsed: Boolean(section.collapsed),
+    gridData,
+  };
+}
+
+/**
+ * Bring a dashboard's control group into one shape, or null when it has no controls
+ * Saved objects keep the controls in controlGroupInput.panelsJSON (keyed by ID, explicitInput);
+ * the Dashboards API lists them in controlGroupInput.controls (controlConfig)
+ * Returns { chainingSystem, labelPosition, autoApplySelections, ignoreParentSettings, controls }
+ */
+function normalizeControlGroup(controlGroupInput) {
+  if (!controlGroupInput) {
+    return null;
   }
+  const { panelsJSON, controls: apiControls, ignoreParentSettingsJSON, ignoreParentSettings, ...controlGroup } = controlGroupInput;
 
-  return await response.json();
+  let controls;
+  if (panelsJSON !== undefined) {
+    const panels = typeof panelsJSON === 'string' ? JSON.parse(panelsJSON || '{}') : panelsJSON;
+    controls = Object.entries(panels || {}).map(([id, { explicitInput, ...control }]) => ({
+      ...control,
+      id: explicitInput?.id || id,
+      controlConfig: explicitInput || {},
+    }));
+  } else {
+    controls = (apiControls || []).map(({ controlConfig, ...control }) => ({
+      ...control,
+      id: control.id || controlConfig?.id,
+      controlConfig: controlConfig || {},
+    }));
+  }
+  if (controls.length === 0) {
+    return null;
+  }
+  controls.sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+
+  return {
+    ...controlGroup,
+    ignoreParentSettings: typeof ignoreParentSettingsJSON === 'string'
+      ? JSON.parse(ignoreParentSettingsJSON || '{}')
+      : ignoreParentSettings,
+    controls,
+  };
+}
+
+/**
+ * Read a dashboard from whichever API the cluster offers
+ * 9.x: the Dashboards API (falling back to saved objects if it fails); earlier: the saved objects API
+ * Returns { id, title, panels, sections, controlGroup, references, attributes, source },
+ * panels in the saved object layout
+ */
+async function readDashboard(dashboardId) {
+  if (kibanaVersionAtLeast('9.0.0')) {
+    try {
+      const item = await fetchDashboardFromApi(dashboardId);
+      const attributes = item.attributes || item.data || {};
+      return {
+        id: item.id || dashboardId,
+        title: attributes.title,
+        panels: normalizeDashboardPanels(attributes.panels),
+        sections: (attributes.panels || []).filter(entry => Array.isArray(entry.panels)).map(normalizeDashboardSection),
+        controlGroup: normalizeControlGroup(attributes.controlGroupInput),
+        references: item.references || attributes.references || [],
+        attributes,
+        source: 'dashboards-api',
+      };
+    } catch (error) {
+      logger.warn('Dashboards API read failed, using the saved objects API:', error);
+    }
+  }
+
+  const dashboard = await fetchDashboardData(dashboardId);
+  const attributes = dashboard.attributes || {};
+  // Collapsible sections (9.1+) are listed separately; panels point to them by gridData.sectionId
+  const sections = (attributes.sections || []).map(normalizeDashboardSection);
+  const panels = normalizeDashboardPanels(JSON.parse(attributes.panelsJSON || '[]')).map(panel => {
+    const section = sections.find(candidate => candidate.id === panel.gridData.sectionId);
+    return section ? { ...panel, sectionId: section.id, sectionTitle: section.title } : panel;
+  });
+  return {
+    id: dashboard.id || dashboardId,
+    title: attributes.title,
+    panels,
+    sections,
+    controlGroup: normalizeControlGroup(attributes.controlGroupInput),
+    references: dashboard.references || [],
+    attributes,
+    source: 'saved-objects',
+  };
+}
+
+/**
+ * Derive a stable, UUID-shaped saved object ID for a dashboard panel
+ * panelIndex alone isn't unique: duplicated dashboards keep their panels' indexes
+ */
+function getPanelObjectId(dashboardId, panelIndex) {
+  const input = `${dashboardId}:${panelIndex}`;
+  // Four FNV-1a passes with different offsets give 128 bits
+  const hex = [0x811c9dc5, 0x01000193, 0x050c5d1f, 0x6b43a9b5].map(offset => {
+    let hash = offset;
+    for (let i = 0; i < input.length; i++) {
+      hash ^= input.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
 }
 
 /**
- * Construct a synthetic saved object export from embedded panel config
+ * Construct a saved object from an embedded (by-value) panel config
+ * The ID defaults to the panel index (or a random one); library exports pass getPanelObjectId()
  */
-function constructPanelExport(panel, dashboardTitle) {
+function constructPanelSavedObject(panel, id = null) {
   const now = new Date().toISOString();
   const panelType = panel.type;
   const embeddableConfig = panel.embeddableConfig || {};
   const title = extractPanelTitle(panel);
   
-  // Generate a deterministic ID based on panel content
-  const panelId = panel.panelIndex || crypto.randomUUID();
+  const panelId = id || panel.panelIndex || crypto.randomUUID();
   
   let savedObject;
   
@@ -213,8 +1261,6 @@ function constructPanelExport(panel, dashboardTitle) {
       id: panelId,
       managed: false,
       references: attributes.references || [],
-      coreMigrationVersion: '8.8.0',
-      typeMigrationVersion: '8.9.0',
       created_at: now,
       updated_at: now,
     };
@@ -228,25 +1274,32 @@ function constructPanelExport(panel, dashboardTitle) {
       title: title,
     };
     
-    const searchSource = savedVis.data?.searchSource || { query: { language: 'kuery', query: '' }, filter: [] };
+    // Data view IDs in the search source become references, as Kibana stores them
+    const { searchSource, references } = extractSearchSourceReferences(
+      savedVis.data?.searchSource || { query: { language: 'kuery', query: '' }, filter: [] }
+    );
+    const attributes = {
+      title: title,
+      visState: JSON.stringify(visState),
+      uiStateJSON: JSON.stringify(savedVis.uiState || {}),
+      description: savedVis.description || '',
+      version: 1,
+      kibanaSavedObjectMeta: {
+        searchSourceJSON: JSON.stringify(searchSource),
+      },
+    };
+    const savedSearchId = savedVis.data?.savedSearchId || savedVis.savedSearchId;
+    if (savedSearchId) {
+      attributes.savedSearchRefName = 'search_0';
+      references.push({ name: 'search_0', type: 'search', id: savedSearchId });
+    }
     
     savedObject = {
-      attributes: {
-        title: title,
-        visState: JSON.stringify(visState),
-        uiStateJSON: JSON.stringify(savedVis.uiState || {}),
-        description: savedVis.description || '',
-        version: 1,
-        kibanaSavedObjectMeta: {
-          searchSourceJSON: JSON.stringify(searchSource),
-        },
-      },
+      attributes,
       type: 'visualization',
       id: panelId,
       managed: false,
-      references: [],
-      coreMigrationVersion: '8.8.0',
-      typeMigrationVersion: '8.5.0',
+      references,
       created_at: now,
       updated_at: now,
     };
@@ -271,7 +1324,6 @@ function constructPanelExport(panel, dashboardTitle) {
       id: panelId,
       managed: false,
       references: attributes.references || [],
-      coreMigrationVersion: '8.8.0',
       created_at: now,
       updated_at: now,
     };
@@ -292,7 +1344,24 @@ function constructPanelExport(panel, dashboardTitle) {
       id: panelId,
       managed: false,
       references: attributes.references || [],
-      coreMigrationVersion: '8.8.0',
+      created_at: now,
+      updated_at: now,
+    };
+  } else if (panelType === 'links') {
+    // Links panel - dashboard links point to their destination through references
+    const attributes = embeddableConfig.attributes || {};
+    const { links, references } = extractLinksReferences(attributes.links || []);
+    savedObject = {
+      attributes: {
+        title: title,
+        description: attributes.description || '',
+        layout: attributes.layout || 'vertical',
+        links,
+      },
+      type: 'links',
+      id: panelId,
+      managed: false,
+      references: mergeReferences(attributes.references || [], references),
       created_at: now,
       updated_at: now,
     };
@@ -308,48 +1377,448 @@ function constructPanelExport(panel, dashboardTitle) {
       id: panelId,
       managed: false,
       references: attributes.references || [],
-      coreMigrationVersion: '8.8.0',
       created_at: now,
       updated_at: now,
     };
   }
-  
-  // Create NDJSON format with export summary
-  const exportSummary = {
-    excludedObjects: [],
-    excludedObjectsCount: 0,
-    exportedCount: 1,
-    missingRefCount: 0,
-    missingReferences: [],
-  };
-  
-  return JSON.stringify(savedObject) + '\n' + JSON.stringify(exportSummary);
+  
+  return stampMigrationVersions(savedObject);
+}
+
+/**
+ * Replace data view IDs in a legacy search source (index, filter[].meta.index) with
+ * ref names plus references, the way Kibana saves them; ad hoc data views (objects) stay inline
+ * Returns { searchSource, references }
+ */
+function extractSearchSourceReferences(searchSource) {
+  const references = [];
+  const extracted = { ...searchSource };
+
+  if (typeof extracted.index === 'string') {
+    const name = 'kibanaSavedObjectMeta.searchSourceJSON.index';
+    references.push({ name, type: 'index-pattern', id: extracted.index });
+    extracted.indexRefName = name;
+    delete extracted.index;
+  }
+
+  if (Array.isArray(extracted.filter)) {
+    extracted.filter = extracted.filter.map((filter, i) => {
+      if (typeof filter.meta?.index !== 'string') {
+        return filter;
+      }
+      const name = `kibanaSavedObjectMeta.searchSourceJSON.filter[${i}].meta.index`;
+      references.push({ name, type: 'index-pattern', id: filter.meta.index });
+      const { index, ...meta } = filter.meta;
+      return { ...filter, meta: { ...meta, indexRefName: name } };
+    });
+  }
+
+  return { searchSource: extracted, references };
+}
+
+/**
+ * Replace dashboard IDs in links (the Dashboards API shape) with ref names plus references,
+ * the way Kibana saves links panels
+ * Returns { links, references }
+ */
+function extractLinksReferences(links) {
+  const references = [];
+  const extracted = links.map(link => {
+    if (link.type !== 'dashboardLink' || link.destinationRefName || !link.destination) {
+      return link;
+    }
+    const { destination, ...rest } = link;
+    const name = `link_${link.id}_dashboard`;
+    references.push({ name, type: 'dashboard', id: destination });
+    return { ...rest, destinationRefName: name };
+  });
+  return { links: extracted, references };
+}
+
+/**
+ * The references Kibana keeps on the dashboard for a by-value panel ("<panelIndex>:<name>"),
+ * with the prefix removed
+ */
+function getPanelReferences(panel, dashboardReferences) {
+  const prefix = `${panel.panelIndex}:`;
+  return (dashboardReferences || [])
+    .filter(reference => reference.name.startsWith(prefix) && reference.name !== `${prefix}panel_${panel.panelIndex}`)
+    .map(reference => ({ ...reference, name: reference.name.substring(prefix.length) }));
+}
+
+/**
+ * Add references whose names aren't taken yet
+ */
+function mergeReferences(references, additional) {
+  const known = new Set(references.map(reference => reference.name));
+  return [...references, ...additional.filter(reference => !known.has(reference.name))];
+}
+
+/**
+ * Export the objects a synthetic panel references (and what they reference in turn)
+ * Only references of the given types are followed
+ * Objects that can't be exported are reported as missing references instead of failing the export
+ * Returns { lines, missingReferences }
+ */
+async function exportPanelReferences(references, types = PANEL_REFERENCE_TYPES) {
+  const targets = [];
+  for (const { type, id } of references) {
+    if (types.includes(type) && !targets.some(target => target.type === type && target.id === id)) {
+      targets.push({ type, id });
+    }
+  }
+
+  const exportTargets = async (objects) => {
+    const response = await kibanaApiRequest('/api/saved_objects/_export', 'POST', { objects, includeReferencesDeep: true });
+    const { objects: exported, summary } = splitExportLines(await response.text());
+    return { lines: exported.map(({ line }) => line), missingReferences: summary?.missingReferences || [] };
+  };
+
+  if (targets.length === 0) {
+    return { lines: [], missingReferences: [] };
+  }
+
+  try {
+    return await exportTargets(targets);
+  } catch (error) {
+    // One unexportable object fails the whole request; retry them one at a time
+    logger.warn('Exporting panel references failed, retrying individually:', error);
+  }
+
+  const lines = [];
+  const missingReferences = [];
+  for (const target of targets) {
+    try {
+      const result = await exportTargets([target]);
+      lines.push(...result.lines.filter(line => !lines.includes(line)));
+      missingReferences.push(...result.missingReferences);
+    } catch (error) {
+      missingReferences.push(target);
+    }
+  }
+  return { lines, missingReferences };
+}
+
+/**
+ * Construct a synthetic saved object export: the panel object, the objects it references, and a summary
+ */
+function constructPanelExport(savedObject, referencedLines = [], missingReferences = []) {
+  // Create NDJSON format with export summary
+  const exportSummary = {
+    excludedObjects: [],
+    excludedObjectsCount: 0,
+    exportedCount: 1 + referencedLines.length,
+    missingRefCount: missingReferences.length,
+    missingReferences,
+  };
+  
+  return [JSON.stringify(savedObject), ...referencedLines, JSON.stringify(exportSummary)].join('\n');
+}
+
+/**
+ * Check whether a dashboard panel holds its config by value and has a library equivalent
+ */
+function isLibraryCandidatePanel(panel) {
+  const embeddableConfig = panel.embeddableConfig || {};
+  return LIBRARY_PANEL_TYPES.includes(panel.type) &&
+    !panel.panelRefName &&
+    Boolean(embeddableConfig.attributes || embeddableConfig.savedVis);
+}
+
+/**
+ * Move a dashboard's by-value panels into library saved objects
+ * Each panel becomes its own object (ID derived from dashboard ID and panelIndex) and the dashboard
+ * references it the way Kibana stores by-reference panels: panelRefName "panel_<panelIndex>" and a
+ * "<panelIndex>:panel_<panelIndex>" reference. The panel's own references ("<panelIndex>:<name>" on the
+ * dashboard) move to the new object.
+ * usedIds: "<type>:<id>" keys already in the export; a colliding ID gets a counter mixed in (and is added)
+ * Returns { dashboard, libraryObjects }
+ */
+function extractDashboardPanels(dashboard, usedIds = new Set()) {
+  const panels = JSON.parse(dashboard.attributes?.panelsJSON || '[]');
+  let references = dashboard.references || [];
+  const libraryObjects = [];
+
+  const rewrittenPanels = panels.map(panel => {
+    if (!isLibraryCandidatePanel(panel)) {
+      return panel;
+    }
+
+    const prefix = `${panel.panelIndex}:`;
+    let libraryObject = constructPanelSavedObject(panel, getPanelObjectId(dashboard.id, panel.panelIndex));
+    for (let attempt = 2; usedIds.has(`${libraryObject.type}:${libraryObject.id}`); attempt++) {
+      libraryObject = { ...libraryObject, id: getPanelObjectId(dashboard.id, `${panel.panelIndex}:${attempt}`) };
+    }
+    usedIds.add(`${libraryObject.type}:${libraryObject.id}`);
+    libraryObject.references = mergeReferences(libraryObject.references, getPanelReferences(panel, references));
+    references = references.filter(reference => !reference.name.startsWith(prefix));
+    libraryObjects.push(libraryObject);
+
+    const panelRefName = `panel_${panel.panelIndex}`;
+    references.push({ name: `${prefix}${panelRefName}`, type: libraryObject.type, id: libraryObject.id });
+    const { attributes, savedVis, ...embeddableConfig } = panel.embeddableConfig;
+    return { ...panel, embeddableConfig, panelRefName };
+  });
+
+  return {
+    dashboard: {
+      ...dashboard,
+      attributes: { ...dashboard.attributes, panelsJSON: JSON.stringify(rewrittenPanels) },
+      references,
+    },
+    libraryObjects,
+  };
+}
+
+/**
+ * Rewrite a dashboard export so its by-value panels are library objects referenced by the dashboards
+ * The library objects are added to the export, keeping it one consistent NDJSON
+ */
+function extractPanelsToLibrary(content) {
+  const { objects, summary } = splitExportLines(content);
+  const lines = [];
+  let extractedCount = 0;
+  // Library objects must not reuse an ID already in the export (or another extracted panel's)
+  const usedIds = new Set(objects.map(({ parsed }) => `${parsed.type}:${parsed.id}`));
+
+  for (const { parsed, line } of objects) {
+    if (parsed.type !== 'dashboard') {
+      lines.push(line);
+      continue;
+    }
+    const { dashboard, libraryObjects } = extractDashboardPanels(parsed, usedIds);
+    lines.push(...libraryObjects.map(object => JSON.stringify(object)), JSON.stringify(dashboard));
+    extractedCount += libraryObjects.length;
+  }
+
+  if (summary) {
+    lines.push(JSON.stringify({ ...summary, exportedCount: summary.exportedCount + extractedCount }));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Export an embedded panel from a dashboard (no saved object ID needed)
+ * With includeReferences, the data views, saved searches, tags and annotation groups it uses are appended
+ */
+async function exportEmbeddedPanel(dashboardId, panelIndex, includeReferences = true) {
+  // Fetch the dashboard data
+  const dashboard = await readDashboard(dashboardId);
+  if (dashboard.panels.length === 0) {
+    throw new Error('Dashboard has no panels');
+  }
+  
+  // Find the panel by index
+  const panel = dashboard.panels.find(p => p.panelIndex === panelIndex);
+  if (!panel) {
+    throw new Error(`Panel ${panelIndex} not found in dashboard`);
+  }
+  
+  // Construct the object (with the ID library extraction gives it), taking over the references
+  // the dashboard keeps for the panel
+  const savedObject = constructPanelSavedObject(panel, getPanelObjectId(dashboard.id, panel.panelIndex));
+  savedObject.references = mergeReferences(savedObject.references, getPanelReferences(panel, dashboard.references));
+  if (!includeReferences) {
+    return constructPanelExport(savedObject);
+  }
+  
+  const referenceTypes = panel.type === 'links' ? LINKS_REFERENCE_TYPES : PANEL_REFERENCE_TYPES;
+  const { lines, missingReferences } = await exportPanelReferences(savedObject.references, referenceTypes);
+  return constructPanelExport(savedObject, lines, missingReferences);
+}
+
+/**
+ * A normalized panel in the Dashboards API shape (panelConfig instead of embeddableConfig),
+ * without the section fields readDashboard adds
+ */
+function toDashboardApiPanel(panel) {
+  const { embeddableConfig, sectionId, sectionTitle, gridData, ...rest } = panel;
+  const { sectionId: gridSectionId, ...grid } = gridData || {};
+  return { ...rest, gridData: grid, panelConfig: embeddableConfig || {} };
+}
+
+/**
+ * The dashboard references (names unchanged) that belong to a panel or control, by their name prefix
+ */
+function getDashboardItemReferences(prefix, dashboardReferences) {
+  return (dashboardReferences || []).filter(reference => reference.name.startsWith(`${prefix}:`));
+}
+
+/**
+ * Export the saved objects behind a set of references as parsed objects
+ * Returns { savedObjects, missingReferences }
+ */
+async function exportReferencedObjects(references, types) {
+  const { lines, missingReferences } = await exportPanelReferences(references, types);
+  return { savedObjects: lines.map(line => JSON.parse(line)), missingReferences };
+}
+
+/**
+ * Get the metadata of a file uploaded to an image panel
+ */
+async function getImageFile(fileId) {
+  const response = await kibanaApiRequest(`/api/files/files/${IMAGE_FILE_KIND}/${encodeURIComponent(fileId)}`);
+  const data = await response.json();
+  return data.file || data;
+}
+
+/**
+ * Export an image panel: the panel in the Dashboards API shape plus the file it shows
+ * Uploaded images live in Kibana's file storage rather than saved objects, so the export lists
+ * the file's metadata and the path to download it from; URL images need nothing else
+ * Returns JSON { panel, files, missingFiles }
+ */
+async function exportImagePanel(dashboardId, panelIndex) {
+  const dashboard = await readDashboard(dashboardId);
+  const panel = dashboard.panels.find(p => p.panelIndex === panelIndex);
+  if (!panel) {
+    throw new Error(`Panel ${panelIndex} not found in dashboard`);
+  }
+
+  const src = panel.embeddableConfig?.imageConfig?.src || {};
+  const files = [];
+  const missingFiles = [];
+  if (src.type === 'file' && src.fileId) {
+    try {
+      const file = await getImageFile(src.fileId);
+      files.push({
+        id: file.id || src.fileId,
+        name: file.name,
+        mimeType: file.mimeType,
+        extension: file.extension,
+        size: file.size,
+        kind: IMAGE_FILE_KIND,
+        downloadPath: `/api/files/files/${IMAGE_FILE_KIND}/${encodeURIComponent(src.fileId)}/blob`,
+      });
+    } catch (error) {
+      logger.warn(`Image file ${src.fileId} could not be read:`, error);
+      missingFiles.push({ id: src.fileId, kind: IMAGE_FILE_KIND });
+    }
+  }
+
+  return JSON.stringify({ panel: toDashboardApiPanel(panel), files, missingFiles }, null, 2);
+}
+
+/**
+ * Export a dashboard's control group, or one control of it when controlId is given
+ * Controls are in the Dashboards API shape; references are the dashboard's own
+ * ("controlGroup_<id>:<name>"), with data views from controlConfig.dataViewId added.
+ * With includeReferences, the data views the controls use are exported as savedObjects
+ * Returns JSON { controlGroup | control, references, savedObjects, missingReferences }
+ */
+async function exportDashboardControls(dashboardId, controlId = null, includeReferences = true) {
+  const dashboard = await readDashboard(dashboardId);
+  if (!dashboard.controlGroup) {
+    throw new Error('Dashboard has no controls');
+  }
+
+  const controls = controlId
+    ? dashboard.controlGroup.controls.filter(control => control.id === controlId)
+    : dashboard.controlGroup.controls;
+  if (controls.length === 0) {
+    throw new Error(`Control ${controlId} not found in dashboard`);
+  }
+
+  let references = [];
+  for (const control of controls) {
+    const prefix = `controlGroup_${control.id}`;
+    const controlReferences = getDashboardItemReferences(prefix, dashboard.references);
+    const dataViewId = control.controlConfig.dataViewId;
+    if (dataViewId && !controlReferences.some(reference => reference.id === dataViewId)) {
+      controlReferences.push({ name: `${prefix}:dataViewId`, type: 'index-pattern', id: dataViewId });
+    }
+    references = mergeReferences(references, controlReferences);
+  }
+
+  const { savedObjects, missingReferences } = includeReferences
+    ? await exportReferencedObjects(references, PANEL_REFERENCE_TYPES)
+    : { savedObjects: [], missingReferences: [] };
+  const exported = controlId
+    ? { control: controls[0] }
+    : { controlGroup: { ...dashboard.controlGroup, controls } };
+  return JSON.stringify({ ...exported, references, savedObjects, missingReferences }, null, 2);
 }
 
 /**
- * Export an embedded panel from a dashboard (no saved object ID needed)
+ * Export a collapsible dashboard section: the section with its panels in the Dashboards API shape,
+ * the dashboard references of those panels (names unchanged) and, with includeReferences,
+ * the library objects and data views they use as savedObjects
+ * Returns JSON { section, references, savedObjects, missingReferences }
  */
-async function exportEmbeddedPanel(dashboardId, panelIndex) {
-  // Fetch the dashboard data
-  const dashboard = await fetchDashboardData(dashboardId);
-  
-  // Parse panelsJSON
-  const panelsJSON = dashboard.attributes?.panelsJSON;
-  if (!panelsJSON) {
-    throw new Error('Dashboard has no panels');
+async function exportDashboardSection(dashboardId, sectionId, includeReferences = true) {
+  const dashboard = await readDashboard(dashboardId);
+  const section = dashboard.sections.find(candidate => candidate.id === sectionId);
+  if (!section) {
+    throw new Error(`Section ${sectionId} not found in dashboard`);
+  }
+
+  const panels = dashboard.panels.filter(panel => panel.sectionId === sectionId);
+  const references = panels.flatMap(panel => getDashboardItemReferences(panel.panelIndex, dashboard.references));
+  const { savedObjects, missingReferences } = includeReferences
+    ? await exportReferencedObjects(references, SECTION_REFERENCE_TYPES)
+    : { savedObjects: [], missingReferences: [] };
+
+  const { id, ...sectionAttributes } = section;
+  return JSON.stringify({
+    section: { ...sectionAttributes, panels: panels.map(toDashboardApiPanel) },
+    references,
+    savedObjects,
+    missingReferences,
+  }, null, 2);
+}
+
+/**
+ * Build the export content for a resource without downloading it
+ * Returns { content, fileExtension }
+ */
+async function buildExport({ type, id, panelIndex, dashboardId, isEmbedded, useAlternativeApi }) {
+  const settings = await getExportSettingsForPage();
+  
+  if (isEmbedded && dashboardId) {
+    // Dashboard parts without a saved object form are exported as JSON
+    const includeReferences = settings.includeReferencesDeep !== false;
+    if (type === 'control-group' || type === 'control') {
+      const content = await exportDashboardControls(dashboardId, type === 'control' ? panelIndex : null, includeReferences);
+      return { content, fileExtension: 'json' };
+    }
+    if (type === 'dashboard-section') {
+      const content = await exportDashboardSection(dashboardId, panelIndex, includeReferences);
+      return { content, fileExtension: 'json' };
+    }
+    if (type === 'image' && panelIndex) {
+      const content = await exportImagePanel(dashboardId, panelIndex);
+      return { content, fileExtension: 'json' };
+    }
+    if (panelIndex) {
+      // Export embedded panel (construct synthetic saved object)
+      const content = await exportEmbeddedPanel(dashboardId, panelIndex, includeReferences);
+      return { content, fileExtension: 'ndjson' };
+    }
   }
   
-  const panels = JSON.parse(panelsJSON);
+  if (useAlternativeApi && ALTERNATIVE_API_TYPES[type]) {
+    // Export using alternative API (SLOs, alerting rules, etc.); list pages have no ID
+    const apiConfig = ALTERNATIVE_API_TYPES[type];
+    const content = !id && apiConfig.list
+      ? await exportAllViaAlternativeApi(type)
+      : await exportViaAlternativeApi(type, id);
+    const result = { content, fileExtension: apiConfig.fileExtension || 'json' };
+    if (type === 'alert' && (settings.resolveConnectors || settings.bundleConnectors)) {
+      result.connectors = await fetchRuleConnectors(JSON.parse(content));
+    }
+    return result;
+  }
   
-  // Find the panel by index
-  const panel = panels.find(p => p.panelIndex === panelIndex);
-  if (!panel) {
-    throw new Error(`Panel ${panelIndex} not found in dashboard`);
+  if (id) {
+    // Export regular saved object via API (the host profile may turn off deep references)
+    let content = await exportSavedObject(type, id, settings.includeReferencesDeep !== false);
+    if (type === 'dashboard' && settings.extractPanelsToLibrary) {
+      content = extractPanelsToLibrary(content);
+    }
+    return { content, fileExtension: 'ndjson' };
   }
   
-  // Construct the export
-  const dashboardTitle = dashboard.attributes?.title || 'Dashboard';
-  return constructPanelExport(panel, dashboardTitle);
+  throw new Error('No valid export target specified');
 }
 
 /**
@@ -395,15 +1864,58 @@ function extractTitle() {
  */
 function detectSavedObject() {
   const url = window.location.href;
+  const appUrl = getAppRelativeUrl();
+  
+  // An open timeline covers whichever security page is below it
+  const timelineId = appUrl.startsWith('/app/security/') ? getOpenTimelineId() : null;
+  if (timelineId) {
+    return {
+      type: 'timeline',
+      id: timelineId,
+      title: extractTitle(),
+      url: url,
+      spaceId: getKibanaSpaceId(),
+      useAlternativeApi: true,
+    };
+  }
+  
+  // ML job views carry the job IDs in their URL state; several jobs are offered as a list
+  if (appUrl.startsWith('/app/ml/')) {
+    const { kind, jobIds } = getMlJobSelection();
+    if (jobIds.length === 1) {
+      return {
+        type: kind,
+        id: jobIds[0],
+        title: jobIds[0],
+        url: url,
+        spaceId: getKibanaSpaceId(),
+        useAlternativeApi: true,
+      };
+    }
+    if (jobIds.length > 1) {
+      return {
+        type: kind,
+        id: null,
+        title: `Anomaly detection jobs ${jobIds.join(', ')}`,
+        url: url,
+        spaceId: getKibanaSpaceId(),
+        useAlternativeApi: true,
+        isList: true,
+      };
+    }
+  }
   
-  for (const [type, pattern] of Object.entries(KIBANA_PATTERNS)) {
-    const match = url.match(pattern);
+  // Before 7.10 the core apps lived under /app/kibana#/
+  const patterns = kibanaVersionAtLeast('7.10.0') ? KIBANA_PATTERNS : { ...LEGACY_KIBANA_PATTERNS, ...KIBANA_PATTERNS };
+  for (const [type, pattern] of Object.entries(patterns)) {
+    const match = appUrl.match(pattern);
     if (match && match[1]) {
       const result = {
         type,
         id: match[1],
         title: extractTitle(),
         url: url,
+        spaceId: getKibanaSpaceId(),
       };
       
       // Check if this type uses an alternative API
@@ -421,15 +1933,307 @@ function detectSavedObject() {
     }
   }
   
+  for (const [type, { pattern, label }] of Object.entries(KIBANA_LIST_PATTERNS)) {
+    if (pattern.test(appUrl)) {
+      const query = type === 'slo' ? getSloListQuery() : '';
+      const listLabel = typeof label === 'function' ? label() : label;
+      return {
+        type,
+        id: null,
+        title: query ? `${listLabel} matching ${query}` : `All ${listLabel}`,
+        url: url,
+        spaceId: getKibanaSpaceId(),
+        useAlternativeApi: true,
+        isList: true,
+      };
+    }
+  }
+  
   return null;
 }
 
 /**
- * Get the base Kibana URL for API calls
+ * Fill in what the URL doesn't tell about a detected object (e.g. timeline titles)
+ */
+async function describeSavedObject(savedObject) {
+  const describe = savedObject?.id && ALTERNATIVE_API_TYPES[savedObject.type]?.describe;
+  if (!describe) {
+    return;
+  }
+  try {
+    Object.assign(savedObject, await describe(savedObject.id));
+  } catch (error) {
+    logger.warn(`Error describing ${savedObject.type} ${savedObject.id}:`, error);
+  }
+}
+
+/**
+ * Get the base Kibana URL for API calls, including any server.basePath
  */
 function getKibanaBaseUrl() {
   const url = new URL(window.location.href);
-  return `${url.protocol}//${url.host}`;
+  return `${url.protocol}//${url.host}${getKibanaBasePath()}`;
+}
+
+/**
+ * Get the current URL relative to the Kibana base path and space prefix
+ * e.g. https://host/kibana/s/ops/app/dashboards#/view/x -> /app/dashboards#/view/x
+ */
+function getAppRelativeUrl() {
+  const { pathname, search, hash } = window.location;
+  let path = pathname;
+  
+  const basePath = getKibanaBasePath();
+  if (basePath && path.startsWith(basePath)) {
+    path = path.substring(basePath.length);
+  }
+  path = path.replace(/^\/s\/[^/]+(?=\/)/, '');
+  
+  return `${path}${search}${hash}`;
+}
+
+/**
+ * Read the metadata Kibana injects into every app page
+ * (<kbn-injected-metadata data="{...}">), or null when not present
+ */
+function getInjectedMetadata() {
+  const element = document.querySelector('kbn-injected-metadata');
+  const data = element?.getAttribute('data');
+  if (!data) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    logger.warn('Failed to parse injected Kibana metadata:', error);
+    return null;
+  }
+}
+
+/**
+ * Derive the base path from the URL: everything before /app/ (or /s/<space-id>/app/)
+ * Returns null when the URL is not an app URL
+ */
+function getBasePathFromUrl() {
+  const match = window.location.pathname.match(/^(.*?)(?:\/s\/[^/]+)?\/app\//);
+  return match ? match[1] : null;
+}
+
+/**
+ * Get the Kibana server base path (synchronous, '' when Kibana is at the host root)
+ * Uses the discovered value if available, otherwise the best synchronous guess
+ */
+function getKibanaBasePath() {
+  if (kibanaBasePath !== null) {
+    return kibanaBasePath;
+  }
+  
+  const metadata = getInjectedMetadata();
+  if (metadata && typeof metadata.serverBasePath === 'string') {
+    return metadata.serverBasePath;
+  }
+  
+  return getBasePathFromUrl() || '';
+}
+
+/**
+ * Check whether Kibana answers at the given base path
+ * Kibana tags its responses with a kbn-name header, which a proxy's fallback page won't have
+ */
+async function isKibanaBasePath(basePath) {
+  try {
+    const url = new URL(window.location.href);
+    const response = await fetch(`${url.protocol}//${url.host}${basePath}/api/status`, {
+      method: 'GET',
+      headers: {
+        'kbn-xsrf': 'true',
+      },
+      credentials: 'include',
+    });
+    return response.status !== 404 && response.headers.has('kbn-name');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Discover where Kibana is mounted (server.basePath) and cache the result
+ * Order: injected page metadata, path before /app/, then probing /api/status
+ * at each parent of the current path
+ */
+async function discoverKibanaBasePath() {
+  if (kibanaBasePath !== null) {
+    return kibanaBasePath;
+  }
+  
+  const metadata = getInjectedMetadata();
+  if (metadata && typeof metadata.serverBasePath === 'string') {
+    kibanaBasePath = metadata.serverBasePath;
+    logger.log('Base path from injected metadata:', kibanaBasePath);
+    return kibanaBasePath;
+  }
+  
+  const urlBasePath = getBasePathFromUrl();
+  if (urlBasePath !== null) {
+    kibanaBasePath = urlBasePath;
+    logger.log('Base path from URL:', kibanaBasePath);
+    return kibanaBasePath;
+  }
+  
+  // Not on an app URL - probe each parent path, longest first
+  const segments = window.location.pathname.split('/').filter(Boolean);
+  for (let i = segments.length; i >= 0; i--) {
+    const candidate = i > 0 ? `/${segments.slice(0, i).join('/')}` : '';
+    if (await isKibanaBasePath(candidate)) {
+      kibanaBasePath = candidate;
+      logger.log('Base path from /api/status probe:', kibanaBasePath);
+      return kibanaBasePath;
+    }
+  }
+  
+  kibanaBasePath = '';
+  return kibanaBasePath;
+}
+
+/**
+ * Compare two Kibana versions ("8.15.2", "9.0.0-SNAPSHOT"); negative when a is older than b
+ */
+function compareKibanaVersions(a, b) {
+  const parse = version => version.split('-')[0].split('.').map(part => parseInt(part, 10) || 0);
+  const [partsA, partsB] = [parse(a), parse(b)];
+  for (let i = 0; i < 3; i++) {
+    const difference = (partsA[i] || 0) - (partsB[i] || 0);
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Get the Kibana version (synchronous, null when unknown or not yet discovered)
+ */
+function getKibanaVersion() {
+  return kibanaVersion || null;
+}
+
+/**
+ * Check whether the cluster runs at least the given Kibana version
+ * An unknown version counts as current, so the newest strategies stay the default
+ */
+function kibanaVersionAtLeast(minimum) {
+  const version = getKibanaVersion();
+  return !version || compareKibanaVersions(version, minimum) >= 0;
+}
+
+/**
+ * Discover the Kibana version and cache it
+ * Order: the per-host cache in chrome.storage.local, /api/status, then the injected page metadata
+ */
+async function discoverKibanaVersion() {
+  if (kibanaVersion !== null) {
+    return getKibanaVersion();
+  }
+  
+  const host = getKibanaBaseUrl();
+  let versions = {};
+  try {
+    ({ kibanaVersions: versions = {} } = await chrome.storage.local.get('kibanaVersions'));
+  } catch (error) {
+    logger.warn('Could not read cached Kibana versions:', error);
+  }
+  
+  const cached = versions[host];
+  if (cached && Date.now() - cached.checkedAt < KIBANA_VERSION_CACHE_TTL) {
+    kibanaVersion = cached.version;
+    logger.log('Kibana version from cache:', kibanaVersion);
+    return getKibanaVersion();
+  }
+  
+  try {
+    const response = await fetch(`${host}/api/status`, {
+      method: 'GET',
+      headers: {
+        'kbn-xsrf': 'true',
+      },
+      credentials: 'include',
+    });
+    if (response.ok) {
+      const status = await response.json();
+      kibanaVersion = status.version?.number || '';
+    }
+  } catch (error) {
+    logger.warn('Could not read /api/status:', error);
+  }
+  
+  if (!kibanaVersion) {
+    const metadata = getInjectedMetadata();
+    kibanaVersion = typeof metadata?.version === 'string' ? metadata.version : '';
+  }
+  
+  if (kibanaVersion) {
+    logger.log('Kibana version:', kibanaVersion);
+    versions[host] = { version: kibanaVersion, checkedAt: Date.now() };
+    chrome.storage.local.set({ kibanaVersions: versions }).catch(error => {
+      logger.warn('Could not cache the Kibana version:', error);
+    });
+  }
+  return getKibanaVersion();
+}
+
+/**
+ * Stamp a synthetic saved object with the migration fields the cluster's Kibana version expects:
+ * coreMigrationVersion and typeMigrationVersion from 8.8, coreMigrationVersion and
+ * migrationVersion before that, and only migrationVersion before 7.12
+ */
+function stampMigrationVersions(savedObject) {
+  const version = (getKibanaVersion() || FALLBACK_KIBANA_VERSION).split('-')[0];
+  const stamped = { ...savedObject };
+  
+  for (const [field, introduced] of Object.entries(SAVED_OBJECT_FIELD_VERSIONS)) {
+    if (compareKibanaVersions(version, introduced) < 0) {
+      delete stamped[field];
+    }
+  }
+  
+  const typeVersion = (TYPE_MIGRATION_VERSIONS[savedObject.type] || [])
+    .filter(candidate => compareKibanaVersions(candidate, version) <= 0)
+    .pop();
+  if (compareKibanaVersions(version, '8.8.0') >= 0) {
+    stamped.coreMigrationVersion = version;
+    if (typeVersion) {
+      stamped.typeMigrationVersion = typeVersion;
+    }
+  } else {
+    if (compareKibanaVersions(version, '7.12.0') >= 0) {
+      stamped.coreMigrationVersion = version;
+    }
+    if (typeVersion) {
+      stamped.migrationVersion = { [savedObject.type]: typeVersion };
+    }
+  }
+  return stamped;
+}
+
+/**
+ * Get the active Kibana space from the current URL
+ * Non-default spaces are addressed as /s/<space-id>/app/...
+ */
+function getKibanaSpaceId() {
+  const match = window.location.pathname.match(/\/s\/([^/]+)\/app\//);
+  return match ? decodeURIComponent(match[1]) : DEFAULT_SPACE_ID;
+}
+
+/**
+ * Build a space-scoped URL for a Kibana API path
+ * The default space is served without the /s/<space-id> prefix
+ */
+function getKibanaApiUrl(apiPath, spaceId = getKibanaSpaceId()) {
+  const spacePrefix = spaceId && spaceId !== DEFAULT_SPACE_ID
+    ? `/s/${encodeURIComponent(spaceId)}`
+    : '';
+  return `${getKibanaBaseUrl()}${spacePrefix}${apiPath}`;
 }
 
 /**
@@ -628,6 +2432,7 @@ function extractPanelInfo(panel) {
       type,
       id: id || null, // null means unsaved/inline
       title: title || 'Untitled Panel',
+      spaceId: getKibanaSpaceId(),
     };
   }
   
@@ -644,12 +2449,29 @@ async function getAllResources() {
   // Get the main/top-level resource
   const mainResource = detectSavedObject();
   if (mainResource) {
+    await describeSavedObject(mainResource);
     resources.push(mainResource);
   }
   
-  // If on a dashboard, fetch and parse the dashboard to get embedded panels
-  const url = window.location.href;
-  if (url.includes('/app/dashboards') && mainResource?.id) {
+  // On a list page (SLOs, connectors), also offer each listed object on its own
+  if (mainResource?.isList) {
+    try {
+      const items = await ALTERNATIVE_API_TYPES[mainResource.type].list();
+      mainResource.title = `${mainResource.title} (${items.length})`;
+      resources.push(...items.map(item => ({
+        type: mainResource.type,
+        id: item.id,
+        title: item.name,
+        spaceId: getKibanaSpaceId(),
+        useAlternativeApi: true,
+      })));
+    } catch (error) {
+      logger.warn(`Error listing ${mainResource.type} objects:`, error);
+    }
+  }
+  
+  // If on a dashboard (including legacy /app/kibana#/dashboard URLs), fetch and parse it to get embedded panels
+  if (mainResource?.type === 'dashboard' && mainResource.id) {
     try {
       const panels = await getEmbeddedPanelsFromAPI(mainResource.id);
       resources.push(...panels);
@@ -673,6 +2495,11 @@ function extractPanelSubType(panel) {
   const state = attributes.state || {};
   const visualization = state.visualization || {};
   
+  // ES|QL charts keep their query in the Lens state; Discover sessions in the search source
+  if (state.query?.esql || attributes.kibanaSavedObjectMeta?.searchSource?.query?.esql) {
+    return 'esql';
+  }
+  
   // For Lens visualizations, get the preferred series type or visualization type
   if (panel.type === 'lens') {
     // Try to get from visualization.preferredSeriesType (most common for XY charts)
@@ -701,6 +2528,11 @@ function extractPanelSubType(panel) {
     }
   }
   
+  // Image panels show an uploaded file or a URL
+  if (panel.type === 'image') {
+    return embeddableConfig.imageConfig?.src?.type || null;
+  }
+  
   // For legacy visualizations, get the vis type
   if (panel.type === 'visualization') {
     const savedVis = embeddableConfig.savedVis || {};
@@ -749,22 +2581,23 @@ function extractPanelTitle(panel) {
     return panel.title;
   }
   
+  // 7. Image panels without a title are named by their alt text
+  if (embeddableConfig.imageConfig?.altText) {
+    return embeddableConfig.imageConfig.altText;
+  }
+  
   return 'Untitled Panel';
 }
 
 /**
  * Get embedded panels by fetching dashboard data from API
+ * Panels come first (by grid position), then the control group and each control, then sections.
+ * Panels kept by reference are listed as the saved objects they point to
  */
 async function getEmbeddedPanelsFromAPI(dashboardId) {
-  const dashboard = await fetchDashboardData(dashboardId);
-  
-  const panelsJSON = dashboard.attributes?.panelsJSON;
-  if (!panelsJSON) {
-    return [];
-  }
-  
-  const panels = JSON.parse(panelsJSON);
+  const { panels, sections, controlGroup, references } = await readDashboard(dashboardId);
   const resources = [];
+  const spaceId = getKibanaSpaceId();
   
   // Sort panels by grid position (top to bottom, left to right)
   panels.sort((a, b) => {
@@ -779,6 +2612,19 @@ async function getEmbeddedPanelsFromAPI(dashboardId) {
   for (const panel of panels) {
     const title = extractPanelTitle(panel);
     const subType = extractPanelSubType(panel);
+    const libraryReference = getLibraryPanelReference(panel, references);
+    
+    if (libraryReference) {
+      resources.push({
+        type: libraryReference.type,
+        subType: subType,
+        id: libraryReference.id,
+        title: title,
+        panelIndex: panel.panelIndex,
+        spaceId: spaceId,
+      });
+      continue;
+    }
     
     resources.push({
       type: panel.type,
@@ -787,6 +2633,43 @@ async function getEmbeddedPanelsFromAPI(dashboardId) {
       title: title,
       panelIndex: panel.panelIndex,
       dashboardId: dashboardId,
+      spaceId: spaceId,
+      isEmbedded: true,
+    });
+  }
+  
+  if (controlGroup) {
+    resources.push({
+      type: 'control-group',
+      id: null,
+      title: `Controls (${controlGroup.controls.length})`,
+      dashboardId: dashboardId,
+      spaceId: spaceId,
+      isEmbedded: true,
+    });
+    resources.push(...controlGroup.controls.map(control => ({
+      type: 'control',
+      subType: CONTROL_TYPE_NAMES[control.type] || control.type,
+      id: null,
+      title: control.controlConfig.title || control.controlConfig.fieldName ||
+        (control.type === 'timeSlider' ? 'Time slider' : 'Untitled control'),
+      panelIndex: control.id,
+      dashboardId: dashboardId,
+      spaceId: spaceId,
+      isEmbedded: true,
+    })));
+  }
+  
+  for (const section of sections) {
+    const count = panels.filter(panel => panel.sectionId === section.id).length;
+    resources.push({
+      type: 'dashboard-section',
+      subType: section.collapsed ? 'collapsed' : null,
+      id: null,
+      title: `${section.title} (${count} panel${count !== 1 ? 's' : ''})`,
+      panelIndex: section.id,
+      dashboardId: dashboardId,
+      spaceId: spaceId,
       isEmbedded: true,
     });
   }
@@ -794,6 +2677,23 @@ async function getEmbeddedPanelsFromAPI(dashboardId) {
   return resources;
 }
 
+/**
+ * The library object a by-reference panel points to ({ type, id }), or null for by-value panels
+ * 8.x dashboards keep the link as a "<panelIndex>:<panelRefName>" reference; the Dashboards API
+ * may return it as savedObjectId in the panel config
+ */
+function getLibraryPanelReference(panel, dashboardReferences) {
+  if (panel.panelRefName) {
+    const name = `${panel.panelIndex}:${panel.panelRefName}`;
+    const reference = (dashboardReferences || []).find(candidate => candidate.name === name);
+    if (reference) {
+      return { type: reference.type, id: reference.id };
+    }
+  }
+  const savedObjectId = panel.embeddableConfig?.savedObjectId;
+  return savedObjectId ? { type: panel.type, id: savedObjectId } : null;
+}
+
 /**
  * Listen for messages from the popup or background script
  */
@@ -808,6 +2708,52 @@ function highlightPanel(panelIndex, resourceIndex) {
   // Remove any existing highlight
   unhighlightPanel();
   
+  const panel = findPanelElementById(panelIndex) || findPanelElementByPosition(resourceIndex);
+  if (!panel) {
+    return;
+  }
+  highlightedElement = panel;
+  
+  // Create overlay
+  const rect = panel.getBoundingClientRect();
+  highlightOverlay = document.createElement('div');
+  highlightOverlay.id = 'kibana-as-code-highlight';
+  highlightOverlay.style.cssText = `
+    position: fixed;
+    top: ${rect.top}px;
+    left: ${rect.left}px;
+    width: ${rect.width}px;
+    height: ${rect.height}px;
+    border: 3px solid #006bb4;
+    border-radius: 4px;
+    background: rgba(0, 107, 180, 0.1);
+    pointer-events: none;
+    z-index: 10000;
+    transition: all 0.15s ease-out;
+    box-shadow: 0 0 20px rgba(0, 107, 180, 0.3);
+  `;
+  document.body.appendChild(highlightOverlay);
+  
+  // Scroll panel into view if needed
+  panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+/**
+ * Find a panel or control element by its ID within the dashboard
+ */
+function findPanelElementById(panelIndex) {
+  if (!panelIndex) {
+    return null;
+  }
+  const id = CSS.escape(panelIndex);
+  return document.getElementById(`panel-${panelIndex}`) ||
+    document.querySelector(`[data-grid-item-id="${id}"], [data-control-id="${id}"]`);
+}
+
+/**
+ * Find a panel element by the position of its resource in the list
+ */
+function findPanelElementByPosition(resourceIndex) {
   // Find panel elements on the page
   const panelSelectors = [
     '[data-test-subj="embeddablePanel"]',
@@ -828,7 +2774,7 @@ function highlightPanel(panelIndex, resourceIndex) {
   
   if (panelElements.length === 0) {
     logger.log('No panel elements found');
-    return;
+    return null;
   }
   
   // Sort panels by position to match our resource list order
@@ -847,32 +2793,9 @@ function highlightPanel(panelIndex, resourceIndex) {
   const panelElementIndex = resourceIndex - 1;
   
   if (panelElementIndex >= 0 && panelElementIndex < panelElements.length) {
-    const panel = panelElements[panelElementIndex];
-    highlightedElement = panel;
-    
-    // Create overlay
-    const rect = panel.getBoundingClientRect();
-    highlightOverlay = document.createElement('div');
-    highlightOverlay.id = 'kibana-as-code-highlight';
-    highlightOverlay.style.cssText = `
-      position: fixed;
-      top: ${rect.top}px;
-      left: ${rect.left}px;
-      width: ${rect.width}px;
-      height: ${rect.height}px;
-      border: 3px solid #006bb4;
-      border-radius: 4px;
-      background: rgba(0, 107, 180, 0.1);
-      pointer-events: none;
-      z-index: 10000;
-      transition: all 0.15s ease-out;
-      box-shadow: 0 0 20px rgba(0, 107, 180, 0.3);
-    `;
-    document.body.appendChild(highlightOverlay);
-    
-    // Scroll panel into view if needed
-    panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    return panelElements[panelElementIndex];
   }
+  return null;
 }
 
 /**
@@ -918,15 +2841,20 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   
   if (request.action === 'getSavedObjectInfo') {
     (async () => {
+      await discoverKibanaBasePath();
+      await discoverKibanaVersion();
       const savedObject = detectSavedObject();
       const baseUrl = getKibanaBaseUrl();
+      const spaceId = getKibanaSpaceId();
       
-      // Get resource count for dashboard pages (async)
+      await describeSavedObject(savedObject);
+      
+      // Get resource count for dashboard and list pages (async)
       let additionalResourceCount = 0;
-      if (savedObject && window.location.href.includes('/app/dashboards')) {
+      if (savedObject && (savedObject.isList || savedObject.type === 'dashboard')) {
         try {
           const resources = await getAllResources();
-          // Additional resources = total - 1 (the main dashboard)
+          // Additional resources = total - 1 (the main dashboard or list)
           additionalResourceCount = Math.max(0, resources.length - 1);
         } catch (e) {
           logger.warn('Error getting resource count:', e);
@@ -936,6 +2864,8 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       sendResponse({
         savedObject,
         baseUrl,
+        basePath: getKibanaBasePath(),
+        spaceId,
         isKibanaPage: savedObject !== null,
         additionalResourceCount,
       });
@@ -946,6 +2876,8 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'getAllResources') {
     (async () => {
       try {
+        await discoverKibanaBasePath();
+        await discoverKibanaVersion();
         const resources = await getAllResources();
         sendResponse({ resources });
       } catch (error) {
@@ -956,35 +2888,95 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
   
+  if (request.action === 'listTags') {
+    (async () => {
+      try {
+        await discoverKibanaBasePath();
+        await discoverKibanaVersion();
+        sendResponse({ success: true, tags: await listTags() });
+      } catch (error) {
+        logger.warn('Error listing tags:', error);
+        sendResponse({ success: false, error: error.message, tags: [] });
+      }
+    })();
+    return true;
+  }
+  
+  if (request.action === 'exportSpace') {
+    const { types, tagIds } = request;
+    
+    (async () => {
+      try {
+        await discoverKibanaBasePath();
+        await discoverKibanaVersion();
+        const result = await exportSpace(types, tagIds);
+        sendResponse({
+          success: true,
+          ...result,
+          baseUrl: getKibanaBaseUrl(),
+          spaceId: getKibanaSpaceId(),
+        });
+      } catch (error) {
+        logger.error('Space export error:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true;
+  }
+  
+  if (request.action === 'importSavedObjects') {
+    const { content, filename, overwrite, createNewCopies, compatibilityMode, spaceId } = request;
+    
+    (async () => {
+      try {
+        await discoverKibanaBasePath();
+        await discoverKibanaVersion();
+        const result = await importSavedObjects(content, filename, { overwrite, createNewCopies, compatibilityMode, spaceId });
+        sendResponse({ success: true, result });
+      } catch (error) {
+        logger.error('Import error:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true;
+  }
+  
+  if (request.action === 'getExportContent') {
+    (async () => {
+      try {
+        await discoverKibanaBasePath();
+        await discoverKibanaVersion();
+        const { content, fileExtension, connectors } = await buildExport(request);
+        sendResponse({ success: true, content, fileExtension, connectors, spaceId: getKibanaSpaceId(), baseUrl: getKibanaBaseUrl() });
+      } catch (error) {
+        logger.error('Export error:', error);
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true;
+  }
+  
   if (request.action === 'exportSavedObject') {
-    const { type, id, title, panelIndex, dashboardId, isEmbedded, useAlternativeApi } = request;
+    const { type, subType, id, title, panelIndex } = request;
     
     (async () => {
       try {
-        let content;
-        let fileExtension = 'ndjson'; // Default for saved objects
-        
-        if (isEmbedded && dashboardId && panelIndex) {
-          // Export embedded panel (construct synthetic saved object)
-          content = await exportEmbeddedPanel(dashboardId, panelIndex);
-        } else if (useAlternativeApi && ALTERNATIVE_API_TYPES[type]) {
-          // Export using alternative API (SLOs, alerting rules, etc.)
-          content = await exportViaAlternativeApi(type, id);
-          fileExtension = ALTERNATIVE_API_TYPES[type].fileExtension || 'json';
-        } else if (id) {
-          // Export regular saved object via API
-          content = await exportSavedObject(type, id);
-        } else {
-          throw new Error('No valid export target specified');
-        }
+        await discoverKibanaBasePath();
+        await discoverKibanaVersion();
+        const { content, fileExtension, connectors } = await buildExport(request);
         
         // Send to background script for download
         const downloadResponse = await chrome.runtime.sendMessage({
           action: 'downloadFile',
           content,
+          connectors,
           title,
           type,
+          subType,
+          id: id || panelIndex,
           fileExtension,
+          spaceId: getKibanaSpaceId(),
+          baseUrl: getKibanaBaseUrl(),
         });
         
         sendResponse(downloadResponse);
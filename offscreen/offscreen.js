@@ -0,0 +1,31 @@
+// Offscreen document for Kibana as Code
+// Service workers can't create blob URLs, so archives are assembled and served from here
+
+/**
+ * Handle messages from the background service worker
+ */
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.target !== 'offscreen') {
+    return false;
+  }
+  
+  if (request.action === 'createZipUrl') {
+    (async () => {
+      try {
+        const blob = await createZipBlob(request.files);
+        sendResponse({ success: true, url: URL.createObjectURL(blob), size: blob.size });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true;
+  }
+  
+  if (request.action === 'revokeUrl') {
+    URL.revokeObjectURL(request.url);
+    sendResponse({ success: true });
+    return false;
+  }
+  
+  return false;
+});
@@ -0,0 +1,355 @@
+// Options page script for Kibana as Code
+
+/**
+ * Types suggested for per-type overrides
+ */
+const OVERRIDE_TYPE_SUGGESTIONS = [
+  'dashboard', 'visualization', 'lens', 'search', 'map', 'index-pattern',
+  'tag', 'slo', 'alert', 'security-rule', 'exception-list', 'timeline', 'cases',
+  'anomaly-detector', 'data-frame-analytics', 'agent-policy', 'package-policy', 'links', 'image',
+  'control-group', 'control', 'dashboard-section', 'export', 'space',
+];
+
+/**
+ * Example export used for live previews
+ */
+const PREVIEW_META = {
+  title: 'Web Traffic Overview',
+  subType: 'bar stacked',
+  id: '7adfa750-4c81-11e8-b3d7-01146121b73d',
+  spaceId: 'marketing',
+  baseUrl: 'https://kibana.example.com',
+};
+
+/**
+ * Choices for profile settings that are either on, off or inherited
+ */
+const PROFILE_BOOLEAN_CHOICES = {
+  includeReferencesDeep: { true: 'Include referenced objects', false: 'Object only' },
+  normalizeExports: { true: 'Git-friendly normalization', false: 'No normalization' },
+};
+
+// DOM elements
+const filenameTemplateInput = document.getElementById('filename-template');
+const filenamePreview = document.getElementById('filename-preview');
+const placeholderList = document.getElementById('placeholder-list');
+const overrideList = document.getElementById('override-list');
+const addOverrideBtn = document.getElementById('add-override-btn');
+const typeSuggestions = document.getElementById('type-suggestions');
+const includeReferencesDeepCheckbox = document.getElementById('include-references-deep');
+const resolveConnectorsCheckbox = document.getElementById('resolve-connectors');
+const bundleConnectorsCheckbox = document.getElementById('bundle-connectors');
+const extractPanelsToLibraryCheckbox = document.getElementById('extract-panels-to-library');
+const profileList = document.getElementById('profile-list');
+const addProfileBtn = document.getElementById('add-profile-btn');
+const exportProfilesBtn = document.getElementById('export-profiles-btn');
+const importProfilesInput = document.getElementById('import-profiles-input');
+const saveBtn = document.getElementById('save-btn');
+const saveStatus = document.getElementById('save-status');
+
+/**
+ * Render the live preview of a template for an example export
+ * Returns false when the template uses unknown placeholders
+ */
+function updatePreview(input, preview, meta, fallbackTemplate = DEFAULT_FILENAME_TEMPLATE) {
+  const unknown = findUnknownPlaceholders(input.value);
+  input.classList.toggle('invalid', unknown.length > 0);
+  preview.classList.toggle('error', unknown.length > 0);
+
+  if (unknown.length > 0) {
+    preview.textContent = `Unknown placeholder${unknown.length > 1 ? 's' : ''}: ${unknown.map(key => `{${key}}`).join(', ')}`;
+    return false;
+  }
+
+  const template = input.value.trim() || fallbackTemplate;
+  preview.textContent = `${renderFilenameTemplate(template, getFilenameValues(meta))}.ndjson`;
+  return true;
+}
+
+/**
+ * Update every preview on the page
+ */
+function updateAllPreviews() {
+  let valid = updatePreview(filenameTemplateInput, filenamePreview, { ...PREVIEW_META, type: 'dashboard' });
+  for (const row of overrideList.querySelectorAll('.override-row')) {
+    const type = row.querySelector('.override-type').value.trim() || 'dashboard';
+    valid = updatePreview(row.querySelector('.template-input'), row.querySelector('.preview'), { ...PREVIEW_META, type }) && valid;
+  }
+  for (const card of profileList.querySelectorAll('.profile-card')) {
+    valid = updateProfilePreview(card) && valid;
+  }
+  return valid;
+}
+
+/**
+ * Add a per-type override row
+ */
+function addOverrideRow(type = '', template = '') {
+  const row = document.createElement('div');
+  row.className = 'override-row';
+  row.innerHTML = `
+    <input type="text" class="override-type" list="type-suggestions" placeholder="type" spellcheck="false">
+    <input type="text" class="template-input" placeholder="${DEFAULT_FILENAME_TEMPLATE}" spellcheck="false">
+    <button class="remove-override-btn" title="Remove override">🗑️</button>
+    <div class="preview"></div>
+  `;
+  row.querySelector('.override-type').value = type;
+  row.querySelector('.template-input').value = template;
+  overrideList.appendChild(row);
+  updateAllPreviews();
+  return row;
+}
+
+/**
+ * Collect overrides from the rows, skipping incomplete ones
+ */
+function collectOverrides() {
+  const overrides = {};
+  for (const row of overrideList.querySelectorAll('.override-row')) {
+    const type = row.querySelector('.override-type').value.trim();
+    const template = row.querySelector('.template-input').value.trim();
+    if (type && template) {
+      overrides[type] = template;
+    }
+  }
+  return overrides;
+}
+
+/**
+ * Build a <select> for a profile setting, with an "inherit" option first
+ */
+function renderProfileSelect(field, choices) {
+  const options = Object.entries(choices)
+    .map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`)
+    .join('');
+  return `<select data-field="${field}"><option value="">Use global setting</option>${options}</select>`;
+}
+
+/**
+ * Add a host profile card
+ */
+function addProfileCard(profile = {}) {
+  const card = document.createElement('div');
+  card.className = 'profile-card';
+  card.innerHTML = `
+    <div class="profile-grid">
+      <label>Name<input type="text" data-field="name" placeholder="Production"></label>
+      <label>Kibana URL<input type="text" data-field="url" placeholder="https://kibana.example.com" spellcheck="false"></label>
+      <label>Default space<input type="text" data-field="defaultSpace" placeholder="default" spellcheck="false"></label>
+      <label>Output format${renderProfileSelect('outputFormat', OUTPUT_FORMATS)}</label>
+      <label>Referenced objects${renderProfileSelect('includeReferencesDeep', PROFILE_BOOLEAN_CHOICES.includeReferencesDeep)}</label>
+      <label>Normalization${renderProfileSelect('normalizeExports', PROFILE_BOOLEAN_CHOICES.normalizeExports)}</label>
+      <label class="wide">Filename template<input type="text" data-field="filenameTemplate" class="template-input" placeholder="Use global template" spellcheck="false"></label>
+      <div class="preview wide"></div>
+    </div>
+    <button class="remove-profile-btn">Remove profile</button>
+  `;
+
+  for (const input of card.querySelectorAll('[data-field]')) {
+    const value = profile[input.dataset.field];
+    input.value = value === undefined || value === null ? '' : String(value);
+  }
+  profileList.appendChild(card);
+  updateAllPreviews();
+  return card;
+}
+
+/**
+ * Preview a profile's filename template using its URL and default space
+ */
+function updateProfilePreview(card) {
+  const url = card.querySelector('[data-field="url"]').value.trim();
+  const meta = {
+    ...PREVIEW_META,
+    type: 'dashboard',
+    spaceId: card.querySelector('[data-field="defaultSpace"]').value.trim() || PREVIEW_META.spaceId,
+    baseUrl: url && /^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : `https://${url || 'kibana.example.com'}`,
+  };
+  const fallbackTemplate = filenameTemplateInput.value.trim() || DEFAULT_FILENAME_TEMPLATE;
+  return updatePreview(
+    card.querySelector('[data-field="filenameTemplate"]'),
+    card.querySelector('.preview'),
+    meta,
+    fallbackTemplate
+  );
+}
+
+/**
+ * Read the profiles from the cards
+ */
+function collectProfiles() {
+  return Array.from(profileList.querySelectorAll('.profile-card')).map(card => {
+    const profile = {};
+    for (const input of card.querySelectorAll('[data-field]')) {
+      const value = input.value.trim();
+      if (value === '') {
+        continue;
+      }
+      profile[input.dataset.field] = input.dataset.field in PROFILE_BOOLEAN_CHOICES ? value === 'true' : value;
+    }
+    return normalizeHostProfile(profile);
+  });
+}
+
+/**
+ * Replace the profile cards
+ */
+function renderProfiles(profiles) {
+  profileList.innerHTML = '';
+  for (const profile of profiles) {
+    addProfileCard(profile);
+  }
+}
+
+/**
+ * Download the current profile set as JSON
+ */
+function exportProfiles() {
+  const blob = new Blob([serializeHostProfiles(collectProfiles())], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'kibana-as-code-profiles.json';
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Load a profile set from a JSON file (replaces the current cards until saved)
+ */
+async function importProfiles(file) {
+  try {
+    const profiles = parseHostProfiles(await file.text());
+    renderProfiles(profiles);
+    showSaveStatus('', `Loaded ${profiles.length} profile${profiles.length !== 1 ? 's' : ''} from ${file.name} - click Save to apply`);
+  } catch (error) {
+    showSaveStatus('error', `Could not import profiles: ${error.message}`);
+  } finally {
+    importProfilesInput.value = '';
+  }
+}
+
+/**
+ * Show the save status
+ */
+function showSaveStatus(kind, message) {
+  saveStatus.className = `save-status ${kind}`;
+  saveStatus.textContent = message;
+}
+
+/**
+ * Validate and store the filename settings
+ */
+async function saveOptions() {
+  if (!updateAllPreviews()) {
+    showSaveStatus('error', 'Fix the unknown placeholders before saving');
+    return;
+  }
+
+  const profiles = collectProfiles();
+  const missingUrl = profiles.findIndex(profile => !profile.url);
+  if (missingUrl !== -1) {
+    showSaveStatus('error', `Profile ${missingUrl + 1} needs a Kibana URL`);
+    return;
+  }
+
+  try {
+    await saveExportSettings({
+      filenameTemplate: filenameTemplateInput.value.trim() || DEFAULT_FILENAME_TEMPLATE,
+      filenameTemplateOverrides: collectOverrides(),
+      includeReferencesDeep: includeReferencesDeepCheckbox.checked,
+      resolveConnectors: resolveConnectorsCheckbox.checked,
+      bundleConnectors: bundleConnectorsCheckbox.checked,
+      extractPanelsToLibrary: extractPanelsToLibraryCheckbox.checked,
+    });
+    await saveHostProfiles(profiles);
+    showSaveStatus('success', 'Saved');
+  } catch (error) {
+    logger.error('Failed to save options:', error);
+    showSaveStatus('error', error.message);
+  }
+}
+
+/**
+ * Load stored settings into the form
+ */
+async function initOptions() {
+  for (const [key, description] of Object.entries(FILENAME_PLACEHOLDERS)) {
+    const row = document.createElement('tr');
+    row.innerHTML = `<td><code>{${key}}</code></td><td>${description}</td>`;
+    placeholderList.appendChild(row);
+  }
+
+  for (const type of OVERRIDE_TYPE_SUGGESTIONS) {
+    const option = document.createElement('option');
+    option.value = type;
+    typeSuggestions.appendChild(option);
+  }
+
+  const settings = await getExportSettings();
+  filenameTemplateInput.value = settings.filenameTemplate;
+  includeReferencesDeepCheckbox.checked = settings.includeReferencesDeep;
+  resolveConnectorsCheckbox.checked = settings.resolveConnectors;
+  bundleConnectorsCheckbox.checked = settings.bundleConnectors;
+  extractPanelsToLibraryCheckbox.checked = settings.extractPanelsToLibrary;
+  for (const [type, template] of Object.entries(settings.filenameTemplateOverrides || {})) {
+    addOverrideRow(type, template);
+  }
+  renderProfiles(await getHostProfiles());
+  updateAllPreviews();
+}
+
+// Event listeners
+filenameTemplateInput.addEventListener('input', () => {
+  updateAllPreviews();
+  showSaveStatus('', '');
+});
+
+overrideList.addEventListener('input', () => {
+  updateAllPreviews();
+  showSaveStatus('', '');
+});
+
+overrideList.addEventListener('click', (e) => {
+  const removeButton = e.target.closest('.remove-override-btn');
+  if (removeButton) {
+    removeButton.closest('.override-row').remove();
+    updateAllPreviews();
+    showSaveStatus('', 'Unsaved changes');
+  }
+});
+
+addOverrideBtn.addEventListener('click', () => {
+  addOverrideRow().querySelector('.override-type').focus();
+});
+
+profileList.addEventListener('input', () => {
+  updateAllPreviews();
+  showSaveStatus('', '');
+});
+
+profileList.addEventListener('click', (e) => {
+  const removeButton = e.target.closest('.remove-profile-btn');
+  if (removeButton) {
+    removeButton.closest('.profile-card').remove();
+    showSaveStatus('', 'Unsaved changes');
+  }
+});
+
+addProfileBtn.addEventListener('click', () => {
+  addProfileCard().querySelector('[data-field="name"]').focus();
+});
+
+exportProfilesBtn.addEventListener('click', exportProfiles);
+
+importProfilesInput.addEventListener('change', (e) => {
+  const [file] = e.target.files;
+  if (file) {
+    importProfiles(file);
+  }
+});
+
+saveBtn.addEventListener('click', saveOptions);
+
+// Initialize options page
+initOptions();
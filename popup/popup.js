@@ -18,6 +18,14 @@ async function initDebugToggle() {
   });
 }
 
+// Open the options page from the footer link
+function initOptionsLink() {
+  document.getElementById('options-link').addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+}
+
 // DOM elements
 const states = {
   loading: document.getElementById('loading'),
@@ -33,6 +41,9 @@ const elements = {
   objectTitle: document.getElementById('object-title'),
   objectType: document.getElementById('object-type'),
   objectId: document.getElementById('object-id'),
+  objectSpace: document.getElementById('object-space'),
+  profileRow: document.getElementById('profile-row'),
+  objectProfile: document.getElementById('object-profile'),
   exportBtn: document.getElementById('export-btn'),
   exploreBtn: document.getElementById('explore-btn'),
   retryBtn: document.getElementById('retry-btn'),
@@ -73,10 +84,7 @@ async function getSavedObjectInfo() {
     currentTabId = tab.id;
 
     // Inject content script programmatically (uses activeTab permission)
-    await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      files: ['content/content.js']
-    });
+    await injectContentScript(tab.id);
 
     // Give script a moment to initialize, then query for info
     await new Promise(resolve => setTimeout(resolve, 100));
@@ -97,6 +105,7 @@ async function getSavedObjectInfo() {
       }
       
       displaySavedObject(response.savedObject);
+      await displayProfile(response.baseUrl);
       
       // Always show the explore button on Kibana pages
       elements.exploreBtn.classList.remove('hidden');
@@ -120,7 +129,21 @@ async function getSavedObjectInfo() {
 function displaySavedObject(savedObject) {
   elements.objectTitle.textContent = savedObject.title || 'Untitled';
   elements.objectType.textContent = savedObject.type;
-  elements.objectId.textContent = savedObject.id;
+  elements.objectId.textContent = savedObject.isList ? 'all listed' : savedObject.id;
+  elements.objectSpace.textContent = savedObject.spaceId || 'default';
+}
+
+/**
+ * Show the host profile matching this Kibana, if any, and the settings it overrides
+ */
+async function displayProfile(baseUrl) {
+  const settings = await getExportSettingsForUrl(baseUrl);
+  if (settings.profileName !== undefined) {
+    elements.objectProfile.textContent = settings.profileName || '(unnamed)';
+    elements.profileRow.classList.remove('hidden');
+  }
+  await settingControlsBound;
+  await showEffectiveSettings(settingControls, baseUrl);
 }
 
 /**
@@ -150,6 +173,7 @@ async function exportSavedObject() {
     const response = await chrome.tabs.sendMessage(currentTabId, {
       action: 'exportSavedObject',
       type: currentSavedObject.type,
+      subType: currentSavedObject.subType,
       id: currentSavedObject.id,
       title: currentSavedObject.title,
       useAlternativeApi: currentSavedObject.useAlternativeApi || false,
@@ -199,5 +223,14 @@ elements.retryBtn.addEventListener('click', retryExport);
 
 // Initialize popup
 initDebugToggle();
+initOptionsLink();
+const settingControls = [
+  [document.getElementById('output-format'), 'outputFormat'],
+  [document.getElementById('normalize-exports'), 'normalizeExports'],
+];
+const settingControlsBound = Promise.all([
+  bindOutputFormatSelect(settingControls[0][0]),
+  bindSettingCheckbox(settingControls[1][0], 'normalizeExports'),
+]);
 showState('loading');
 getSavedObjectInfo();
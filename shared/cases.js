@@ -0,0 +1,175 @@
+// Case reports for Kibana as Code
+// Renders the case bundle exported from /api/cases/{id} ({ case, comments, userActions }) as Markdown
+
+/**
+ * Name a case user (created_by, closed_by, ...)
+ */
+function formatCaseUser(user) {
+  return user?.full_name || user?.username || user?.email || 'Unknown user';
+}
+
+/**
+ * Format a case timestamp as "YYYY-MM-DD HH:MM UTC"
+ */
+function formatCaseDate(value) {
+  if (!value) {
+    return '';
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+/**
+ * Make text safe for a single Markdown table cell
+ */
+function markdownCell(text) {
+  return String(text ?? '').replace(/\|/g, '\\|').replace(/\s*[\r\n]+\s*/g, ' ');
+}
+
+/**
+ * Quote multi-line Markdown as a blockquote nested in a list item
+ */
+function markdownQuote(text) {
+  return String(text || '').split(/\r?\n/).map(line => `  > ${line}`.trimEnd()).join('\n');
+}
+
+/**
+ * Alert IDs of an alert attachment (a single ID or an array)
+ */
+function caseAlertIds(comment) {
+  return [].concat(comment.alertId || []);
+}
+
+/**
+ * Describe a user action in words, or null for actions the report shows elsewhere (comments)
+ */
+function describeCaseUserAction(userAction) {
+  const { type, action, payload = {} } = userAction;
+  const list = values => [].concat(values || []).map(value => value.uid || value).join(', ');
+
+  switch (type) {
+    case 'create_case':
+      return 'created the case';
+    case 'delete_case':
+      return 'deleted the case';
+    case 'title':
+      return `changed the title to "${payload.title}"`;
+    case 'description':
+      return 'edited the description';
+    case 'status':
+      return `changed the status to ${payload.status}`;
+    case 'severity':
+      return `changed the severity to ${payload.severity}`;
+    case 'tags':
+      return `${action === 'delete' ? 'removed' : 'added'} tags ${list(payload.tags)}`;
+    case 'assignees':
+      return `${action === 'delete' ? 'unassigned' : 'assigned'} ${list(payload.assignees)}`;
+    case 'category':
+      return payload.category ? `changed the category to ${payload.category}` : 'removed the category';
+    case 'connector':
+      return `changed the connector to ${payload.connector?.name || 'none'}`;
+    case 'pushed':
+      return `pushed the case to ${payload.externalService?.connector_name || 'an external service'}`;
+    case 'settings':
+      return 'updated the case settings';
+    case 'comment':
+      // New comments are rendered from the comments themselves
+      if (action === 'create') {
+        return null;
+      }
+      return action === 'delete' ? 'deleted a comment' : 'edited a comment';
+    default:
+      return `${action} ${type}`;
+  }
+}
+
+/**
+ * Describe a comment or attachment as a timeline entry body
+ */
+function describeCaseComment(comment) {
+  if (comment.type === 'user') {
+    return `commented:\n\n${markdownQuote(comment.comment)}`;
+  }
+  if (comment.type === 'alert') {
+    const count = caseAlertIds(comment).length;
+    const rule = comment.rule?.name ? ` from rule "${comment.rule.name}"` : '';
+    return `attached ${count} alert${count !== 1 ? 's' : ''}${rule}`;
+  }
+  if (comment.type === 'actions') {
+    return `ran a response action:\n\n${markdownQuote(comment.comment)}`;
+  }
+  return `added a ${comment.type} attachment`;
+}
+
+/**
+ * Render an exported case bundle as a Markdown report
+ */
+function renderCaseReport(bundle) {
+  const caseInfo = bundle.case || {};
+  const comments = bundle.comments || [];
+  const userActions = bundle.userActions || [];
+
+  const fields = [
+    ['Status', caseInfo.status],
+    ['Severity', caseInfo.severity],
+    ['Tags', (caseInfo.tags || []).join(', ') || 'None'],
+    ['Assignees', (caseInfo.assignees || []).map(assignee => assignee.uid).join(', ') || 'None'],
+    ['Category', caseInfo.category],
+    ['Created', `${formatCaseDate(caseInfo.created_at)} by ${formatCaseUser(caseInfo.created_by)}`],
+    ['Updated', caseInfo.updated_at ? `${formatCaseDate(caseInfo.updated_at)} by ${formatCaseUser(caseInfo.updated_by)}` : null],
+    ['Closed', caseInfo.closed_at ? `${formatCaseDate(caseInfo.closed_at)} by ${formatCaseUser(caseInfo.closed_by)}` : null],
+    ['Connector', caseInfo.connector?.name && caseInfo.connector.name !== 'none' ? caseInfo.connector.name : null],
+    ['Owner', caseInfo.owner],
+    ['Case ID', caseInfo.id],
+  ].filter(([, value]) => value);
+
+  const lines = [
+    `# ${String(caseInfo.title || 'Untitled case').replace(/[\r\n]+/g, ' ')}`,
+    '',
+    '| Field | Value |',
+    '| --- | --- |',
+    ...fields.map(([name, value]) => `| ${name} | ${markdownCell(value)} |`),
+    '',
+    '## Description',
+    '',
+    caseInfo.description || '_No description_',
+  ];
+
+  const alerts = comments.filter(comment => comment.type === 'alert');
+  lines.push('', '## Attached alerts', '');
+  if (alerts.length === 0) {
+    lines.push('_No alerts attached_');
+  } else {
+    lines.push('| Alert ID | Index | Rule | Attached |', '| --- | --- | --- | --- |');
+    for (const comment of alerts) {
+      const indices = [].concat(comment.index || []);
+      caseAlertIds(comment).forEach((alertId, i) => {
+        const index = indices[i] ?? indices[0] ?? '';
+        lines.push(`| ${markdownCell(alertId)} | ${markdownCell(index)} | ${markdownCell(comment.rule?.name)} | ${formatCaseDate(comment.created_at)} |`);
+      });
+    }
+  }
+
+  // Comments and user actions, oldest first
+  const entries = [
+    ...comments.map(comment => ({ at: comment.created_at, by: comment.created_by, text: describeCaseComment(comment) })),
+    ...userActions.map(userAction => ({
+      at: userAction.created_at,
+      by: userAction.created_by,
+      text: describeCaseUserAction(userAction),
+    })),
+  ]
+    .filter(entry => entry.text)
+    .sort((a, b) => String(a.at).localeCompare(String(b.at)));
+
+  lines.push('', '## Timeline', '');
+  if (entries.length === 0) {
+    lines.push('_No activity_');
+  }
+  for (const entry of entries) {
+    lines.push(`- **${formatCaseDate(entry.at)}** ${formatCaseUser(entry.by)} ${entry.text}`);
+  }
+  lines.push('');
+
+  return lines.join('\n');
+}
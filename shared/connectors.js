@@ -0,0 +1,81 @@
+// Connector (action) helpers for Kibana as Code
+// The connector API never returns secrets; exports get named placeholders in their place
+
+/**
+ * Secret fields per connector type
+ * Types not listed here export without a secrets object
+ */
+const CONNECTOR_SECRET_FIELDS = {
+  '.email': ['user', 'password'],
+  '.slack': ['webhookUrl'],
+  '.slack_api': ['token'],
+  '.teams': ['webhookUrl'],
+  '.webhook': ['user', 'password'],
+  '.cases-webhook': ['user', 'password'],
+  '.pagerduty': ['routingKey'],
+  '.opsgenie': ['apiKey'],
+  '.jira': ['email', 'apiToken'],
+  '.servicenow': ['username', 'password'],
+  '.servicenow-sir': ['username', 'password'],
+  '.servicenow-itom': ['username', 'password'],
+  '.resilient': ['apiKeyId', 'apiKeySecret'],
+  '.swimlane': ['apiToken'],
+  '.xmatters': ['user', 'password', 'secretsUrl'],
+  '.tines': ['email', 'token'],
+  '.torq': ['token'],
+  '.d3security': ['token'],
+  '.thehive': ['apiKey'],
+  '.gen-ai': ['apiKey'],
+  '.bedrock': ['accessKey', 'secret'],
+  '.gemini': ['credentialsJson'],
+  '.sentinelone': ['token'],
+  '.crowdstrike': ['clientId', 'clientSecret'],
+};
+
+/**
+ * Get the secret fields of a connector
+ */
+function getConnectorSecretFields(connector) {
+  // Exchange (OAuth) email connectors authenticate with a client secret instead
+  if (connector.connector_type_id === '.email' && connector.config?.service === 'exchange_server') {
+    return ['clientSecret'];
+  }
+  return CONNECTOR_SECRET_FIELDS[connector.connector_type_id] || [];
+}
+
+/**
+ * Name the placeholder for one connector secret, e.g. SLACK_ALERTS_WEBHOOK_URL
+ * Names never start with a digit, so they also work as environment variable names
+ */
+function connectorSecretName(connector, field) {
+  const name = (connector.name || connector.id || 'connector')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+  const key = field.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+  return /^[0-9]/.test(name) ? `_${name}_${key}` : `${name}_${key}`;
+}
+
+/**
+ * Add a secrets object with ${NAME} placeholders to a connector
+ */
+function redactConnector(connector) {
+  const fields = getConnectorSecretFields(connector);
+  if (fields.length === 0 || connector.is_preconfigured) {
+    return connector;
+  }
+  const secrets = {};
+  for (const field of fields) {
+    secrets[field] = `\${${connectorSecretName(connector, field)}}`;
+  }
+  return { ...connector, secrets };
+}
+
+/**
+ * Redact exported connector JSON (a single connector or a list of them)
+ */
+function redactConnectorExport(content) {
+  const data = JSON.parse(content);
+  const redacted = Array.isArray(data) ? data.map(redactConnector) : redactConnector(data);
+  return JSON.stringify(redacted, null, 2);
+}
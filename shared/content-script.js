@@ -0,0 +1,21 @@
+// Content script injection for Kibana as Code
+// Shared by the popup and side panel
+
+/**
+ * Files injected into Kibana tabs; the content script uses the shared NDJSON helpers
+ */
+const CONTENT_SCRIPT_FILES = ['shared/saved-objects.js', 'content/content.js'];
+
+/**
+ * Inject the content script into a tab, unless an earlier injection is still loaded
+ * (the shared helpers declare globals, so they can't be injected twice)
+ */
+async function injectContentScript(tabId) {
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: () => Boolean(window.__kibanaExporterLoaded),
+  });
+  if (!injection?.result) {
+    await chrome.scripting.executeScript({ target: { tabId }, files: CONTENT_SCRIPT_FILES });
+  }
+}
@@ -0,0 +1,634 @@
+// Create-ready exports for Kibana as Code
+// Turns GET responses of Kibana's REST APIs into bodies the matching create endpoint accepts;
+// requires shared/connectors.js, shared/fleet.js and shared/saved-objects.js
+
+/**
+ * Fields accepted by POST /api/alerting/rule/{id}; everything else is server-managed
+ * (execution_status, last_run, next_run, running, api_key_owner, snooze_schedule, revision, ...)
+ */
+const RULE_CREATE_FIELDS = [
+  'name',
+  'tags',
+  'rule_type_id',
+  'consumer',
+  'schedule',
+  'params',
+  'actions',
+  'enabled',
+  'throttle',
+  'notify_when',
+  'alert_delay',
+  'flapping',
+];
+
+/**
+ * Fields accepted for each entry of a rule's actions[] (drops uuid and connector_type_id)
+ */
+const RULE_ACTION_CREATE_FIELDS = ['group', 'id', 'params', 'frequency', 'alerts_filter', 'use_alert_data_for_template'];
+
+/**
+ * Fields accepted by POST /api/observability/slos; summary, revision, createdAt, updatedAt,
+ * instanceId and other runtime data are dropped
+ */
+const SLO_CREATE_FIELDS = [
+  'id',
+  'name',
+  'description',
+  'indicator',
+  'timeWindow',
+  'budgetingMethod',
+  'objective',
+  'settings',
+  'groupBy',
+  'tags',
+];
+
+/**
+ * SLO settings accepted on create
+ */
+const SLO_SETTINGS_CREATE_FIELDS = ['syncDelay', 'frequency', 'preventInitialBackfill', 'syncField'];
+
+/**
+ * Fields accepted by POST /api/actions/connector/{id}
+ */
+const CONNECTOR_CREATE_FIELDS = ['name', 'connector_type_id', 'config', 'secrets'];
+
+/**
+ * Anomaly detection job fields accepted on create; model snapshots, data counts, model size stats,
+ * create/finish times, versions and other runtime state are dropped
+ */
+const ML_JOB_CREATE_FIELDS = [
+  'job_id',
+  'description',
+  'groups',
+  'analysis_config',
+  'analysis_limits',
+  'data_description',
+  'model_plot_config',
+  'model_snapshot_retention_days',
+  'daily_model_snapshot_retention_after_days',
+  'results_index_name',
+  'results_retention_days',
+  'renormalization_window_days',
+  'background_persist_interval',
+  'custom_settings',
+  'allow_lazy_open',
+];
+
+/**
+ * Datafeed fields accepted on create (drops state, timing stats and authorization)
+ */
+const ML_DATAFEED_CREATE_FIELDS = [
+  'datafeed_id',
+  'job_id',
+  'indices',
+  'query',
+  'aggregations',
+  'chunking_config',
+  'delayed_data_check_config',
+  'frequency',
+  'query_delay',
+  'script_fields',
+  'runtime_mappings',
+  'scroll_size',
+  'max_empty_searches',
+  'indices_options',
+];
+
+/**
+ * Data frame analytics fields accepted on create (drops create_time, version and authorization)
+ */
+const ML_ANALYTICS_CREATE_FIELDS = [
+  'id',
+  'description',
+  'source',
+  'dest',
+  'analysis',
+  'analyzed_fields',
+  'model_memory_limit',
+  'max_num_threads',
+  'allow_lazy_start',
+  '_meta',
+];
+
+/**
+ * Types exported from the ML app
+ */
+const ML_EXPORT_TYPES = ['anomaly-detector', 'data-frame-analytics'];
+
+/**
+ * Note added to ML recreate scripts
+ */
+const ML_SPACES_NOTE = 'Jobs are created through the Console proxy; sync ML saved objects in Stack Management afterwards to assign them to a space.';
+
+/**
+ * Agent policy fields accepted by POST /api/fleet/agent_policies and Fleet preconfiguration;
+ * status, revision, agents, updated_at/updated_by, is_managed, is_default*, version and
+ * other Fleet-managed fields are dropped
+ */
+const AGENT_POLICY_CREATE_FIELDS = [
+  'id',
+  'name',
+  'namespace',
+  'description',
+  'monitoring_enabled',
+  'inactivity_timeout',
+  'unenroll_timeout',
+  'data_output_id',
+  'monitoring_output_id',
+  'fleet_server_host_id',
+  'download_source_id',
+  'agent_features',
+  'overrides',
+  'advanced_settings',
+  'keep_monitoring_alive',
+  'global_data_tags',
+  'is_protected',
+  'has_fleet_server',
+  'supports_agentless',
+];
+
+/**
+ * Package (integration) policy fields accepted on create (drops revision, timestamps,
+ * agents, elasticsearch privileges, secret_references and other read-only fields)
+ */
+const PACKAGE_POLICY_CREATE_FIELDS = [
+  'id',
+  'name',
+  'description',
+  'namespace',
+  'policy_id',
+  'policy_ids',
+  'package',
+  'enabled',
+  'inputs',
+  'vars',
+  'output_id',
+  'overrides',
+  'supports_agentless',
+];
+
+/**
+ * Package fields kept in a package policy's package reference
+ */
+const PACKAGE_POLICY_PACKAGE_FIELDS = ['name', 'title', 'version'];
+
+/**
+ * Dashboard attributes that stay out of the Dashboards API body (legacy saved object fields)
+ */
+const DASHBOARD_API_DROPPED_ATTRIBUTES = ['version', 'hits'];
+
+/**
+ * Note added to dashboard recreate scripts when the export holds more than the dashboard
+ */
+const DASHBOARD_REFERENCES_NOTE = 'Import the .references.ndjson file (Stack Management > Saved objects) first: it holds the objects the dashboard references.';
+
+/**
+ * Note added to scripts whose bodies contain secret placeholders
+ */
+const SECRET_PLACEHOLDER_NOTE = 'Replace the ${...} secret placeholders in the connector bodies before running (e.g. with envsubst).';
+
+/**
+ * Copy the listed fields that are set
+ */
+function pickFields(source, fields) {
+  const picked = {};
+  for (const field of fields) {
+    if (source[field] !== undefined && source[field] !== null) {
+      picked[field] = source[field];
+    }
+  }
+  return picked;
+}
+
+/**
+ * Build a POST /api/alerting/rule body from a GET /api/alerting/rule/{id} response
+ */
+function toCreateReadyRule(rule) {
+  const body = pickFields(rule, RULE_CREATE_FIELDS);
+  if (Array.isArray(body.actions)) {
+    body.actions = body.actions.map(action => pickFields(action, RULE_ACTION_CREATE_FIELDS));
+  }
+  // Per-action frequency and the legacy rule-level throttle/notify_when are mutually exclusive
+  if (body.actions?.some(action => action.frequency)) {
+    delete body.throttle;
+    delete body.notify_when;
+  }
+  return body;
+}
+
+/**
+ * Build a POST /api/observability/slos body from a GET /api/observability/slos/{id} response
+ */
+function toCreateReadySlo(slo) {
+  const body = pickFields(slo, SLO_CREATE_FIELDS);
+  if (body.settings) {
+    body.settings = pickFields(body.settings, SLO_SETTINGS_CREATE_FIELDS);
+  }
+  return body;
+}
+
+/**
+ * Build a POST /api/actions/connector body, with secret placeholders
+ */
+function toCreateReadyConnector(connector) {
+  return pickFields(redactConnector(connector), CONNECTOR_CREATE_FIELDS);
+}
+
+/**
+ * Build the recreate request for a connector
+ */
+function connectorCreateRequest(connector) {
+  return {
+    apiPath: `/api/actions/connector/${encodeURIComponent(connector.id)}`,
+    body: toCreateReadyConnector(connector),
+  };
+}
+
+/**
+ * Strip runtime state from an anomaly detection job
+ */
+function toCreateReadyMlJob(job) {
+  const body = pickFields(job, ML_JOB_CREATE_FIELDS);
+  // GET reports the default index as "shared" and custom ones with the "custom-" prefix create adds
+  if (body.results_index_name === 'shared') {
+    delete body.results_index_name;
+  } else if (body.results_index_name) {
+    body.results_index_name = body.results_index_name.replace(/^custom-/, '');
+  }
+  return body;
+}
+
+/**
+ * Strip runtime state from an ML export (the ML app's job export format):
+ * [{ job, datafeed }] for anomaly detection, an array of configs for data frame analytics
+ */
+function toCreateReadyMlExport(content, type) {
+  const data = JSON.parse(content);
+  const stripped = type === 'anomaly-detector'
+    ? data.map(({ job, datafeed }) => ({
+      job: toCreateReadyMlJob(job),
+      datafeed: datafeed ? pickFields(datafeed, ML_DATAFEED_CREATE_FIELDS) : null,
+    }))
+    : data.map(analytics => pickFields(analytics, ML_ANALYTICS_CREATE_FIELDS));
+  return JSON.stringify(stripped, null, 2);
+}
+
+/**
+ * Strip read-only fields from a package policy, including the inputs Fleet compiles
+ * (which hold secrets in plaintext); password and secret vars become ${NAME} placeholders
+ * Returns { body, secrets }
+ */
+function toCreateReadyPackagePolicy(packagePolicy) {
+  const { packagePolicy: redacted, secrets } = redactPackagePolicySecrets(packagePolicy);
+  const body = pickFields(redacted, PACKAGE_POLICY_CREATE_FIELDS);
+  if (body.package) {
+    body.package = pickFields(body.package, PACKAGE_POLICY_PACKAGE_FIELDS);
+  }
+  if (Array.isArray(body.inputs)) {
+    body.inputs = body.inputs.map(({ compiled_input: compiledInput, ...input }) => ({
+      ...input,
+      streams: (input.streams || []).map(({ compiled_stream: compiledStream, ...stream }) => stream),
+    }));
+  }
+  return { body, secrets };
+}
+
+/**
+ * Strip Fleet-managed fields from a Fleet export
+ * Agent policies: the { agentPolicy, packagePolicies, fullAgentPolicy } bundle becomes the policy
+ * with its package policies nested, like Fleet preconfiguration; package policies: the GET response
+ * Returns { content, fullAgentPolicy }, fullAgentPolicy being the redacted full agent policy YAML (if any)
+ */
+function toCreateReadyFleetExport(content, type) {
+  const data = JSON.parse(content);
+  if (type === 'package-policy') {
+    const { body } = toCreateReadyPackagePolicy(data.item || data);
+    return { content: JSON.stringify(body, null, 2), fullAgentPolicy: null };
+  }
+
+  const packagePolicies = (data.packagePolicies || []).map(toCreateReadyPackagePolicy);
+  const policy = {
+    ...pickFields(data.agentPolicy || {}, AGENT_POLICY_CREATE_FIELDS),
+    package_policies: packagePolicies.map(({ body }) => body),
+  };
+  // The full agent policy has the integrations' secrets compiled in
+  const secrets = packagePolicies.flatMap(({ secrets: policySecrets }) => policySecrets);
+  let fullAgentPolicy = null;
+  if (data.fullAgentPolicy && typeof data.fullAgentPolicy === 'object') {
+    fullAgentPolicy = fullAgentPolicyToYaml(redactFullAgentPolicy(data.fullAgentPolicy, secrets));
+  } else if (data.fullAgentPolicy) {
+    // Exports from earlier versions kept the YAML text, which can't be redacted reliably
+    logger.warn('Left out the full agent policy: it was exported as YAML text and may contain secrets');
+  }
+  return { content: JSON.stringify(policy, null, 2), fullAgentPolicy };
+}
+
+/**
+ * Parse a JSON-encoded saved object attribute, passing through values that are already parsed
+ */
+function parseJsonAttribute(value, fallback) {
+  if (typeof value !== 'string') {
+    return value ?? fallback;
+  }
+  return value ? JSON.parse(value) : fallback;
+}
+
+/**
+ * Convert a dashboard saved object into a Dashboards API body ({ attributes, references })
+ * panelsJSON becomes panels (embeddableConfig -> panelConfig, section panels nested in their
+ * section), optionsJSON becomes options, searchSourceJSON becomes searchSource and the control
+ * group's panelsJSON becomes controls
+ */
+function toCreateReadyDashboard(dashboard) {
+  const {
+    panelsJSON,
+    optionsJSON,
+    sections = [],
+    kibanaSavedObjectMeta,
+    controlGroupInput,
+    ...rest
+  } = dashboard.attributes || {};
+  const attributes = {};
+  for (const [key, value] of Object.entries(rest)) {
+    if (!DASHBOARD_API_DROPPED_ATTRIBUTES.includes(key)) {
+      attributes[key] = value;
+    }
+  }
+
+  const panels = parseJsonAttribute(panelsJSON, []).map(({ embeddableConfig, ...panel }) => ({
+    ...panel,
+    panelConfig: embeddableConfig || {},
+  }));
+  const sectionIds = new Set(sections.map(section => section.gridData?.i));
+  attributes.panels = [
+    ...panels.filter(panel => !sectionIds.has(panel.gridData?.sectionId)),
+    ...sections.map(section => ({
+      ...section,
+      panels: panels
+        .filter(panel => panel.gridData?.sectionId === section.gridData?.i)
+        .map(({ gridData: { sectionId, ...gridData }, ...panel }) => ({ ...panel, gridData })),
+    })),
+  ];
+
+  if (optionsJSON !== undefined) {
+    attributes.options = parseJsonAttribute(optionsJSON, {});
+  }
+  if (kibanaSavedObjectMeta?.searchSourceJSON !== undefined) {
+    attributes.kibanaSavedObjectMeta = { searchSource: parseJsonAttribute(kibanaSavedObjectMeta.searchSourceJSON, {}) };
+  }
+  if (controlGroupInput) {
+    const { panelsJSON: controlsJSON, ignoreParentSettingsJSON, ...controlGroup } = controlGroupInput;
+    const controls = Object.entries(parseJsonAttribute(controlsJSON, {}))
+      .map(([id, { explicitInput, ...control }]) => ({ ...control, id, controlConfig: explicitInput || {} }))
+      .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+    attributes.controlGroupInput = {
+      ...controlGroup,
+      ignoreParentSettings: parseJsonAttribute(ignoreParentSettingsJSON, undefined),
+      controls,
+    };
+  }
+
+  return { attributes, references: dashboard.references || [] };
+}
+
+/**
+ * Build a request that sends an Elasticsearch API call through Kibana's Console proxy
+ */
+function consoleProxyRequest(method, path, body) {
+  const params = new URLSearchParams({ path, method });
+  return { apiPath: `/api/console/proxy?${params}`, body };
+}
+
+/**
+ * Build the recreate requests for a stripped ML export: each job, then its datafeed
+ */
+function mlCreateRequests(data, type) {
+  if (type === 'anomaly-detector') {
+    return data.flatMap(({ job, datafeed }) => {
+      const { job_id: jobId, ...jobBody } = job;
+      const requests = [consoleProxyRequest('PUT', `_ml/anomaly_detectors/${jobId}`, jobBody)];
+      if (datafeed) {
+        const { datafeed_id: datafeedId, ...datafeedBody } = datafeed;
+        requests.push(consoleProxyRequest('PUT', `_ml/datafeeds/${datafeedId}`, datafeedBody));
+      }
+      return requests;
+    });
+  }
+  return data.map(({ id, ...body }) => consoleProxyRequest('PUT', `_ml/data_frame/analytics/${id}`, body));
+}
+
+/**
+ * Make text safe for a single shell comment line
+ */
+function shellComment(text) {
+  return String(text).replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * Quote a value for a POSIX shell (single quotes)
+ */
+function shellQuote(text) {
+  return `'${String(text).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Build a shell script that recreates objects by POSTing their create-ready bodies with curl
+ * requests: [{ apiPath, body }]; target: { description, baseUrl, spaceId, notes }
+ */
+function buildRecreateScript(requests, { description, baseUrl, spaceId, notes = [] }) {
+  const spacePrefix = spaceId && spaceId !== 'default' ? `/s/${encodeURIComponent(spaceId)}` : '';
+  const lines = [
+    '#!/bin/sh',
+    `# Recreate ${shellComment(description)} - generated by Kibana as Code`,
+    '# Usage: KIBANA_URL=https://kibana.example.com KIBANA_API_KEY=<base64 API key> sh <this file>',
+    ...notes.map(note => `# ${shellComment(note)}`),
+    '',
+    `KIBANA_URL="\${KIBANA_URL:-${(baseUrl || 'http://localhost:5601').replace(/["$`\\]/g, '')}}"`,
+  ];
+
+  for (const { apiPath, body } of requests) {
+    lines.push(
+      '',
+      `curl -sS -X POST "\${KIBANA_URL}"${shellQuote(`${spacePrefix}${apiPath}`)} \\`,
+      '  -H "kbn-xsrf: true" \\',
+      '  -H "Content-Type: application/json" \\',
+      '  -H "Authorization: ApiKey ${KIBANA_API_KEY}" \\',
+      '  --data-binary @- <<\'KIBANA_AS_CODE_BODY\'',
+      JSON.stringify(body, null, 2),
+      'KIBANA_AS_CODE_BODY'
+    );
+  }
+  lines.push('');
+  return lines.join('\n');
+}
+
+/**
+ * Describe the connectors a rule references, for the recreate script
+ * connectors: resolved connector details, [{ id, name, connector_type_id, is_preconfigured }]
+ */
+function describeRuleConnectors(rule, connectors) {
+  const ids = Array.from(new Set((rule.actions || []).map(action => action.id)));
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const byId = new Map((connectors || []).map(connector => [connector.id, connector]));
+  return [
+    'Connectors referenced by this rule must exist in the target space with the same IDs:',
+    ...ids.map(id => {
+      const connector = byId.get(id);
+      if (!connector) {
+        return `  ${id}`;
+      }
+      const preconfigured = connector.is_preconfigured ? ', preconfigured' : '';
+      return `  ${id}  ${connector.name} (${connector.connector_type_id}${preconfigured})`;
+    }),
+  ];
+}
+
+/**
+ * Apply the transforms every export gets, whatever the output format: connector secret placeholders,
+ * and the create-ready ML and Fleet shapes (Fleet secrets redacted, the full agent policy as a companion)
+ * Returns { content, companions }; this is what downloads, history and drift checks all start from
+ */
+function prepareExport(content, type) {
+  if (type === 'action') {
+    return { content: redactConnectorExport(content), companions: [] };
+  }
+  if (ML_EXPORT_TYPES.includes(type)) {
+    return { content: toCreateReadyMlExport(content, type), companions: [] };
+  }
+  if (type === 'agent-policy' || type === 'package-policy') {
+    const { content: policy, fullAgentPolicy } = toCreateReadyFleetExport(content, type);
+    const companions = fullAgentPolicy
+      ? [{ suffix: 'full-policy', content: fullAgentPolicy, fileExtension: 'yml' }]
+      : [];
+    return { content: policy, companions };
+  }
+  return { content, companions: [] };
+}
+
+/**
+ * Convert an export to its create-ready form
+ * Returns { content, companions: [{ suffix, content, fileExtension }] }, or null for types without one
+ * meta: { type, id, title, baseUrl, spaceId, connectors, bundleConnectors }
+ */
+function toCreateReady(content, meta) {
+  if (meta.type === 'alert') {
+    const rule = JSON.parse(content);
+    const body = toCreateReadyRule(rule);
+
+    // Bundled connectors are created before the rule that uses them (preconfigured ones can't be)
+    const bundled = meta.bundleConnectors
+      ? (meta.connectors || []).filter(connector => !connector.is_preconfigured)
+      : [];
+    const notes = describeRuleConnectors(rule, meta.connectors);
+    if (bundled.some(connector => getConnectorSecretFields(connector).length > 0)) {
+      notes.push(SECRET_PLACEHOLDER_NOTE);
+    }
+
+    const script = buildRecreateScript([
+      ...bundled.map(connectorCreateRequest),
+      { apiPath: `/api/alerting/rule/${encodeURIComponent(rule.id)}`, body },
+    ], {
+      description: `alerting rule "${rule.name || meta.title}" (${rule.rule_type_id})`,
+      baseUrl: meta.baseUrl,
+      spaceId: meta.spaceId,
+      notes,
+    });
+    return {
+      content: JSON.stringify(body, null, 2),
+      companions: [{ suffix: 'recreate', content: script, fileExtension: 'sh' }],
+    };
+  }
+
+  if (meta.type === 'slo') {
+    // A single SLO, or an array of them from an SLO list export
+    const data = JSON.parse(content);
+    const bodies = [].concat(data).map(toCreateReadySlo);
+    const description = Array.isArray(data)
+      ? `${bodies.length} SLO${bodies.length !== 1 ? 's' : ''} (${meta.title || 'SLO list'})`
+      : `SLO "${data.name || meta.title}"`;
+    const script = buildRecreateScript(
+      bodies.map(body => ({ apiPath: '/api/observability/slos', body })),
+      { description, baseUrl: meta.baseUrl, spaceId: meta.spaceId }
+    );
+    return {
+      content: JSON.stringify(Array.isArray(data) ? bodies : bodies[0], null, 2),
+      companions: [{ suffix: 'recreate', content: script, fileExtension: 'sh' }],
+    };
+  }
+
+  if (ML_EXPORT_TYPES.includes(meta.type)) {
+    // Already stripped of runtime state when exported; the script adds the create calls
+    const data = JSON.parse(content);
+    const kind = meta.type === 'anomaly-detector' ? 'anomaly detection job' : 'data frame analytics job';
+    const script = buildRecreateScript(mlCreateRequests(data, meta.type), {
+      description: `${data.length} ${kind}${data.length !== 1 ? 's' : ''} (${meta.title || kind})`,
+      baseUrl: meta.baseUrl,
+      spaceId: meta.spaceId,
+      notes: [ML_SPACES_NOTE],
+    });
+    return {
+      content,
+      companions: [{ suffix: 'recreate', content: script, fileExtension: 'sh' }],
+    };
+  }
+
+  if (meta.type === 'dashboard') {
+    // The dashboard as a Dashboards API body; other exported objects go to a saved objects companion
+    const { objects } = parseNdjson(content);
+    const dashboard = objects.find(object => object.type === 'dashboard' && object.id === meta.id) ||
+      objects.find(object => object.type === 'dashboard');
+    if (!dashboard) {
+      return null;
+    }
+    const others = objects.filter(object => object !== dashboard);
+    const body = toCreateReadyDashboard(dashboard);
+
+    const script = buildRecreateScript([
+      { apiPath: `/api/dashboards/dashboard/${encodeURIComponent(dashboard.id)}`, body },
+    ], {
+      description: `dashboard "${dashboard.attributes?.title || meta.title}"`,
+      baseUrl: meta.baseUrl,
+      spaceId: meta.spaceId,
+      notes: others.length > 0 ? [DASHBOARD_REFERENCES_NOTE] : [],
+    });
+    const companions = [{ suffix: 'recreate', content: script, fileExtension: 'sh' }];
+    if (others.length > 0) {
+      companions.unshift({ suffix: 'references', content: serializeNdjson(others), fileExtension: 'ndjson' });
+    }
+    return { content: JSON.stringify(body, null, 2), companions };
+  }
+
+  if (meta.type === 'action') {
+    // A single connector, or all of them from the connectors list; preconfigured ones live in kibana.yml
+    const data = JSON.parse(content);
+    const connectors = [].concat(data);
+    const creatable = connectors.filter(connector => !connector.is_preconfigured);
+    const notes = connectors
+      .filter(connector => connector.is_preconfigured)
+      .map(connector => `Skipped preconfigured connector ${connector.id} (${connector.name}): defined in kibana.yml`);
+    if (creatable.some(connector => getConnectorSecretFields(connector).length > 0)) {
+      notes.push(SECRET_PLACEHOLDER_NOTE);
+    }
+
+    const description = Array.isArray(data)
+      ? `${creatable.length} connector${creatable.length !== 1 ? 's' : ''}`
+      : `connector "${data.name || meta.title}" (${data.connector_type_id})`;
+    const script = buildRecreateScript(creatable.map(connectorCreateRequest), {
+      description,
+      baseUrl: meta.baseUrl,
+      spaceId: meta.spaceId,
+      notes,
+    });
+    const bodies = connectors.map(toCreateReadyConnector);
+    return {
+      content: JSON.stringify(Array.isArray(data) ? bodies : bodies[0], null, 2),
+      companions: [{ suffix: 'recreate', content: script, fileExtension: 'sh' }],
+    };
+  }
+
+  return null;
+}
@@ -0,0 +1,180 @@
+// Structural diff for Kibana as Code exports
+// Compares parsed exports path by path; requires shared/saved-objects.js
+
+/**
+ * Replace an expanded panelsJSON array with an object keyed by panelIndex,
+ * so added or reordered panels don't show up as changes to every later panel
+ */
+function keyPanelsByIndex(object) {
+  const panels = object.attributes?.panelsJSON;
+  if (!Array.isArray(panels) || !panels.every(panel => panel && panel.panelIndex)) {
+    return;
+  }
+  const byIndex = {};
+  for (const panel of panels) {
+    byIndex[panel.panelIndex] = panel;
+  }
+  object.attributes.panelsJSON = byIndex;
+}
+
+/**
+ * Parse export content into a diffable structure
+ * NDJSON becomes { "type:id": object } with volatile fields removed,
+ * stringified fields expanded and panels keyed by panelIndex;
+ * JSON has its volatile fields removed
+ */
+function parseExportForDiff(content, fileExtension) {
+  if (fileExtension === 'ndjson') {
+    const byKey = {};
+    for (const object of parseNdjson(content).objects) {
+      const expanded = expandSavedObject(omitFields(object, VOLATILE_SAVED_OBJECT_FIELDS));
+      delete expanded[EXPANDED_FIELDS_KEY];
+      keyPanelsByIndex(expanded);
+      byKey[`${object.type}:${object.id}`] = expanded;
+    }
+    return byKey;
+  }
+
+  const data = JSON.parse(content);
+  return Array.isArray(data)
+    ? data.map(item => omitFields(item, VOLATILE_JSON_FIELDS))
+    : omitFields(data, VOLATILE_JSON_FIELDS);
+}
+
+/**
+ * Check whether a value is a plain object or array (something to recurse into)
+ */
+function isContainer(value) {
+  return value !== null && typeof value === 'object';
+}
+
+/**
+ * Diff two values recursively
+ * Returns [{ path: [...keys], kind: 'added' | 'removed' | 'changed', before, after }]
+ */
+function diffValues(before, after, path = []) {
+  if (isContainer(before) && isContainer(after) && Array.isArray(before) === Array.isArray(after)) {
+    const changes = [];
+    const keys = Array.isArray(before)
+      ? Array.from({ length: Math.max(before.length, after.length) }, (_, i) => i)
+      : Array.from(new Set([...Object.keys(before), ...Object.keys(after)]));
+
+    for (const key of keys) {
+      const inBefore = Array.isArray(before) ? key < before.length : key in before;
+      const inAfter = Array.isArray(after) ? key < after.length : key in after;
+      if (!inBefore) {
+        changes.push({ path: [...path, key], kind: 'added', before: undefined, after: after[key] });
+      } else if (!inAfter) {
+        changes.push({ path: [...path, key], kind: 'removed', before: before[key], after: undefined });
+      } else {
+        changes.push(...diffValues(before[key], after[key], [...path, key]));
+      }
+    }
+    return changes;
+  }
+
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return [];
+  }
+  return [{ path, kind: 'changed', before, after }];
+}
+
+/**
+ * Diff two exports
+ */
+function diffExports(beforeContent, beforeExtension, afterContent, afterExtension) {
+  return diffValues(
+    parseExportForDiff(beforeContent, beforeExtension),
+    parseExportForDiff(afterContent, afterExtension)
+  );
+}
+
+/**
+ * Render a diff path as a readable string, e.g. dashboard:abc.attributes.panelsJSON[2].title
+ */
+function formatDiffPath(path) {
+  return path.reduce((text, key) => {
+    if (typeof key === 'number') {
+      return `${text}[${key}]`;
+    }
+    return text ? `${text}.${key}` : String(key);
+  }, '');
+}
+
+/**
+ * Render a diffed value for display
+ */
+function formatDiffValue(value) {
+  if (value === undefined) {
+    return '';
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+/**
+ * Render changes as a side-by-side table element
+ * Requires escapeHtml from shared/html.js
+ */
+function renderSideBySideDiff(changes, beforeLabel, afterLabel) {
+  const table = document.createElement('table');
+  table.className = 'diff-table';
+
+  if (changes.length === 0) {
+    table.innerHTML = '<tbody><tr><td class="diff-empty" colspan="2">No differences</td></tr></tbody>';
+    return table;
+  }
+
+  const rows = changes.map(change => `
+    <tr class="diff-path-row"><td colspan="2">${escapeHtml(formatDiffPath(change.path))} <span class="diff-kind ${change.kind}">${change.kind}</span></td></tr>
+    <tr class="diff-values-row ${change.kind}">
+      <td class="diff-before"><pre>${escapeHtml(formatDiffValue(change.before))}</pre></td>
+      <td class="diff-after"><pre>${escapeHtml(formatDiffValue(change.after))}</pre></td>
+    </tr>
+  `).join('');
+
+  table.innerHTML = `
+    <thead><tr><th>${escapeHtml(beforeLabel)}</th><th>${escapeHtml(afterLabel)}</th></tr></thead>
+    <tbody>${rows}</tbody>
+  `;
+  return table;
+}
+
+/**
+ * Keys whose presence in a path marks a query/filter change
+ */
+const QUERY_PATH_PATTERN = /^(query|filter|filters|searchSourceJSON|kuery|kql|kqlQuery|esql|language)$/i;
+
+/**
+ * Bucket a change for drift reports: 'panels', 'queries', 'attributes' or 'other'
+ */
+function categorizeChange(change) {
+  const keys = change.path.map(String);
+  if (keys.some(key => key === 'panelsJSON' || key === 'panels')) {
+    return 'panels';
+  }
+  if (keys.some(key => QUERY_PATH_PATTERN.test(key))) {
+    return 'queries';
+  }
+  if (keys.includes('attributes')) {
+    return 'attributes';
+  }
+  return 'other';
+}
+
+/**
+ * Group panel changes by the panel they belong to
+ * Returns Map of "<path to panel>" -> { path, index, changes }
+ */
+function groupChangesByPanel(changes) {
+  const groups = new Map();
+  for (const change of changes) {
+    const panelsAt = change.path.findIndex(key => key === 'panelsJSON' || key === 'panels');
+    const panelPath = change.path.slice(0, panelsAt + 2);
+    const groupKey = formatDiffPath(panelPath);
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { path: panelPath, index: change.path[panelsAt + 1], changes: [] });
+    }
+    groups.get(groupKey).changes.push(change);
+  }
+  return groups;
+}
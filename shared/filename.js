@@ -0,0 +1,109 @@
+// Filename templates for Kibana as Code
+// Renders download paths like "kibana/{host}/{space}/{type}/{title}" from export metadata
+
+/**
+ * Placeholders a filename template can use
+ */
+const FILENAME_PLACEHOLDERS = {
+  title: 'Resource title',
+  type: 'Saved object type (dashboard, lens, slo, ...)',
+  subType: 'Chart or visualization sub-type (bar stacked, pie, markdown, esql, ...), empty otherwise',
+  id: 'Saved object ID (panel index for embedded panels)',
+  space: 'Kibana space ID',
+  nonDefaultSpace: 'Kibana space ID, empty in the default space',
+  host: 'Kibana host name',
+  date: 'Export date (YYYY-MM-DD)',
+};
+
+/**
+ * Template used when none is configured (the original naming convention)
+ */
+const DEFAULT_FILENAME_TEMPLATE = '{title}-{type}';
+
+/**
+ * Sanitize a string for use as a filename
+ */
+function sanitizeFilename(name) {
+  return name
+    .replace(/[<>:"/\\|?*]/g, '-')  // Replace invalid chars
+    .replace(/\s+/g, '-')           // Replace whitespace with dashes
+    .replace(/-+/g, '-')            // Collapse multiple dashes
+    .replace(/^-|-$/g, '')          // Remove leading/trailing dashes
+    .substring(0, 200);             // Limit length
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ */
+function formatFilenameDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Build placeholder values from export metadata
+ */
+function getFilenameValues({ title, type, subType, id, spaceId, baseUrl }, date = new Date()) {
+  let host = '';
+  try {
+    host = baseUrl ? new URL(baseUrl).host : '';
+  } catch (error) {
+    // Leave host empty for unparseable URLs
+  }
+
+  return {
+    title: title || 'untitled',
+    type: type || '',
+    subType: subType || '',
+    id: id || '',
+    space: spaceId || 'default',
+    nonDefaultSpace: spaceId && spaceId !== 'default' ? spaceId : '',
+    host,
+    date: formatFilenameDate(date),
+  };
+}
+
+/**
+ * List placeholders in a template that aren't in FILENAME_PLACEHOLDERS
+ */
+function findUnknownPlaceholders(template) {
+  const unknown = [];
+  for (const [, key] of (template || '').matchAll(/\{([^}]*)\}/g)) {
+    if (!(key in FILENAME_PLACEHOLDERS) && !unknown.includes(key)) {
+      unknown.push(key);
+    }
+  }
+  return unknown;
+}
+
+/**
+ * Render a template into a relative path (without extension)
+ * Values can't introduce directories; "/" in the template separates subdirectories
+ */
+function renderFilenameTemplate(template, values) {
+  const path = (template || DEFAULT_FILENAME_TEMPLATE).replace(/\{(\w+)\}/g, (match, key) =>
+    key in values ? sanitizeFilename(String(values[key])) : match
+  );
+
+  const segments = path
+    .split('/')
+    .map(sanitizeFilename)
+    .filter(segment => segment && segment !== '.' && segment !== '..');
+  return segments.length > 0 ? segments.join('/') : 'untitled';
+}
+
+/**
+ * Pick the template for a type: its override if set, otherwise the default
+ */
+function getFilenameTemplate(settings, type) {
+  return settings.filenameTemplateOverrides?.[type] || settings.filenameTemplate || DEFAULT_FILENAME_TEMPLATE;
+}
+
+/**
+ * Generate the download path for an export
+ * meta: { title, type, subType, id, spaceId, baseUrl }
+ */
+function generateFilename(meta, extension, settings) {
+  const template = getFilenameTemplate(settings, meta.type);
+  return `${renderFilenameTemplate(template, getFilenameValues(meta))}.${extension}`;
+}
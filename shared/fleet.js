@@ -0,0 +1,138 @@
+// Fleet helpers for Kibana as Code
+// Password and secret vars of integration policies get named placeholders, like connector secrets
+
+/**
+ * Pattern of a secret placeholder value, e.g. ${NGINX_1_PASSWORD}
+ */
+const FLEET_SECRET_PLACEHOLDER = /^\$\{([A-Z0-9_]+)\}$/;
+
+/**
+ * Mapping keys that can be written without quotes in YAML
+ */
+const YAML_PLAIN_KEY = /^[A-Za-z_][A-Za-z0-9_.\/-]*$/;
+
+/**
+ * Plain keys some YAML parsers read as booleans or null
+ */
+const YAML_RESERVED_WORDS = ['true', 'false', 'yes', 'no', 'on', 'off', 'y', 'n', 'null'];
+
+/**
+ * Check whether a Fleet var holds a secret: a password var, or a value kept in
+ * Fleet's secret storage ({ isSecretRef, id }, which only resolves on the cluster it came from)
+ */
+function isFleetSecretVar(variable) {
+  return Boolean(variable) && (variable.type === 'password' || variable.value?.isSecretRef === true);
+}
+
+/**
+ * Name the placeholder for one Fleet secret from its policy, input/stream and var name,
+ * e.g. NGINX_1_NGINX_STATUS_PASSWORD
+ */
+function fleetSecretName(parts) {
+  const name = parts
+    .filter(Boolean)
+    .map(part => String(part).toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, ''))
+    .filter(Boolean)
+    .join('_');
+  // Like connector secret names, never starting with a digit
+  return /^[0-9]/.test(name) ? `_${name}` : name;
+}
+
+/**
+ * Replace secret vars with ${NAME} placeholders
+ * Returns { vars, secrets: [{ name, value }] }; value is the plaintext (null for secret references)
+ */
+function redactFleetVars(vars, nameParts) {
+  if (!vars) {
+    return { vars, secrets: [] };
+  }
+  const secrets = [];
+  const redacted = {};
+  for (const [key, variable] of Object.entries(vars)) {
+    if (!isFleetSecretVar(variable) || variable.value === undefined || variable.value === null || variable.value === '') {
+      redacted[key] = variable;
+      continue;
+    }
+    const name = fleetSecretName([...nameParts, key]);
+    secrets.push({ name, value: typeof variable.value === 'string' ? variable.value : null });
+    redacted[key] = { ...variable, value: `\${${name}}` };
+  }
+  return { vars: redacted, secrets };
+}
+
+/**
+ * Redact the policy, input and stream vars of a package policy
+ * Returns { packagePolicy, secrets: [{ name, value }] }
+ */
+function redactPackagePolicySecrets(packagePolicy) {
+  const policyName = packagePolicy.name || packagePolicy.id || 'integration';
+  const secrets = [];
+  const redact = (vars, parts) => {
+    const result = redactFleetVars(vars, [policyName, ...parts]);
+    secrets.push(...result.secrets);
+    return result.vars;
+  };
+
+  const redacted = { ...packagePolicy, vars: redact(packagePolicy.vars, []) };
+  if (Array.isArray(packagePolicy.inputs)) {
+    redacted.inputs = packagePolicy.inputs.map(input => ({
+      ...input,
+      vars: redact(input.vars, [input.type]),
+      streams: (input.streams || []).map(stream => ({
+        ...stream,
+        vars: redact(stream.vars, [stream.data_stream?.dataset || stream.id]),
+      })),
+    }));
+  }
+  return { packagePolicy: redacted, secrets };
+}
+
+/**
+ * Replace plaintext secrets in the full agent policy (the parsed /full response) with their placeholders
+ * Compiled inputs may embed a secret in a longer value (e.g. a URL), so every occurrence is replaced;
+ * secrets stored in Fleet's secret storage already appear as references there
+ */
+function redactFullAgentPolicy(policy, secrets) {
+  const replacements = secrets
+    .filter(secret => secret.value)
+    .sort((a, b) => b.value.length - a.value.length);
+  const redact = (value) => {
+    if (typeof value === 'string') {
+      return replacements.reduce((text, secret) => text.split(secret.value).join(`\${${secret.name}}`), value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(redact);
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redact(item)]));
+    }
+    return value;
+  };
+  return redact(policy);
+}
+
+/**
+ * Render a full agent policy as YAML, the format Fleet serves as the "full agent policy" download
+ * Strings are always double-quoted, so no value can be misread as another type
+ */
+function fullAgentPolicyToYaml(value, indent = '') {
+  const key = name => (YAML_PLAIN_KEY.test(name) && !YAML_RESERVED_WORDS.includes(name.toLowerCase())
+    ? name
+    : JSON.stringify(name));
+  const scalar = item => (typeof item === 'string' ? JSON.stringify(item) : String(item));
+  const isEmpty = item => item && typeof item === 'object' && Object.keys(item).length === 0;
+  const isNested = item => item && typeof item === 'object' && !isEmpty(item);
+  const inline = item => (Array.isArray(item) ? '[]' : isEmpty(item) ? '{}' : scalar(item));
+
+  if (Array.isArray(value)) {
+    return value.map(item => (isNested(item)
+      ? `${indent}-\n${fullAgentPolicyToYaml(item, `${indent}  `)}`
+      : `${indent}- ${inline(item)}\n`)).join('');
+  }
+  return Object.entries(value)
+    .filter(([, item]) => item !== undefined)
+    .map(([name, item]) => (isNested(item)
+      ? `${indent}${key(name)}:\n${fullAgentPolicyToYaml(item, `${indent}  `)}`
+      : `${indent}${key(name)}: ${inline(item)}\n`))
+    .join('');
+}
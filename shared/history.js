@@ -0,0 +1,114 @@
+// Export history store for Kibana as Code
+// Keeps each export's content and context in IndexedDB (shared by the background and side panel)
+
+const HISTORY_DB_NAME = 'kibana-as-code';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'exports';
+
+/**
+ * Oldest entries beyond this count are pruned when a new export is recorded
+ */
+const HISTORY_MAX_ENTRIES = 500;
+
+/**
+ * Key identifying one object across exports: same host, space, type and id
+ */
+function getHistoryObjectKey({ host, spaceId, type, id }) {
+  return [host || '', spaceId || 'default', type || '', id || ''].join('|');
+}
+
+/**
+ * Open (and create/upgrade if needed) the history database
+ */
+function openHistoryDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+        const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'key', autoIncrement: true });
+        store.createIndex('timestamp', 'timestamp');
+        store.createIndex('objectKey', 'objectKey');
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a callback against the history store inside a transaction
+ * Resolves with the callback's request result once the transaction completes
+ */
+async function withHistoryStore(mode, callback) {
+  const db = await openHistoryDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(HISTORY_STORE, mode);
+      const request = callback(transaction.objectStore(HISTORY_STORE));
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Record an export
+ * entry: { content, companions, connectors, prepared, fileExtension, host, spaceId, type, subType, id, title, filename, raw }
+ * prepared entries hold the export after prepareExport (secrets redacted) along with its companions,
+ * and a rule's connectors so they can be bundled again;
+ * raw entries (ZIP manifests) are re-downloaded without applying the output format
+ */
+async function addHistoryEntry(entry) {
+  const record = {
+    ...entry,
+    spaceId: entry.spaceId || 'default',
+    objectKey: getHistoryObjectKey(entry),
+    timestamp: Date.now(),
+  };
+  const key = await withHistoryStore('readwrite', store => store.add(record));
+  await pruneHistory();
+  return key;
+}
+
+/**
+ * List history entries, newest first
+ */
+async function listHistoryEntries() {
+  const entries = await withHistoryStore('readonly', store => store.getAll());
+  return entries.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Get a single history entry by key
+ */
+async function getHistoryEntry(key) {
+  return withHistoryStore('readonly', store => store.get(key));
+}
+
+/**
+ * Delete a history entry by key
+ */
+async function deleteHistoryEntry(key) {
+  await withHistoryStore('readwrite', store => store.delete(key));
+}
+
+/**
+ * Drop the oldest entries beyond HISTORY_MAX_ENTRIES
+ */
+async function pruneHistory() {
+  const keys = await withHistoryStore('readonly', store => store.index('timestamp').getAllKeys());
+  const excess = keys.length - HISTORY_MAX_ENTRIES;
+  if (excess <= 0) {
+    return;
+  }
+  await withHistoryStore('readwrite', store => {
+    keys.slice(0, excess).forEach(key => store.delete(key));
+    return null;
+  });
+}
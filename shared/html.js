@@ -0,0 +1,11 @@
+// HTML helpers for Kibana as Code
+// Shared by the options page and side panel
+
+/**
+ * Escape text for use in HTML
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
@@ -0,0 +1,173 @@
+// Kibana host profiles for Kibana as Code
+// Named per-host settings synced through chrome.storage.sync; requires shared/settings.js
+
+/**
+ * Settings a profile can override (empty values fall back to the global settings)
+ */
+const PROFILE_SETTING_KEYS = ['outputFormat', 'includeReferencesDeep', 'normalizeExports', 'filenameTemplate'];
+
+/**
+ * Version stamped on exported profile sets
+ */
+const PROFILES_EXPORT_VERSION = 1;
+
+/**
+ * Load the host profiles
+ */
+async function getHostProfiles() {
+  try {
+    const { hostProfiles } = await chrome.storage.sync.get('hostProfiles');
+    return Array.isArray(hostProfiles) ? hostProfiles : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Store the host profiles (replaces the whole set)
+ */
+async function saveHostProfiles(profiles) {
+  await chrome.storage.sync.set({ hostProfiles: profiles.map(normalizeHostProfile) });
+}
+
+/**
+ * Keep only known profile fields, dropping empty overrides
+ */
+function normalizeHostProfile(profile) {
+  const normalized = {
+    name: String(profile.name || '').trim(),
+    url: String(profile.url || '').trim(),
+  };
+  if (profile.defaultSpace) {
+    normalized.defaultSpace = String(profile.defaultSpace).trim();
+  }
+  for (const key of PROFILE_SETTING_KEYS) {
+    if (profile[key] !== undefined && profile[key] !== null && profile[key] !== '') {
+      normalized[key] = profile[key];
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Split a profile or page URL into host and path for matching
+ * Profile URLs may omit the scheme ("kibana.example.com/kibana")
+ */
+function parseProfileUrl(url) {
+  try {
+    const parsed = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : `https://${url}`);
+    return { host: parsed.host.toLowerCase(), path: parsed.pathname.replace(/\/+$/, '') };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Find the profile for a URL: same host, longest matching path prefix
+ */
+function findProfileForUrl(profiles, url) {
+  const target = url ? parseProfileUrl(url) : null;
+  if (!target) {
+    return null;
+  }
+
+  let best = null;
+  let bestLength = -1;
+  for (const profile of profiles) {
+    const candidate = profile.url ? parseProfileUrl(profile.url) : null;
+    if (!candidate || candidate.host !== target.host) {
+      continue;
+    }
+    const matchesPath = candidate.path === '' ||
+      target.path === candidate.path ||
+      target.path.startsWith(`${candidate.path}/`);
+    if (matchesPath && candidate.path.length > bestLength) {
+      best = profile;
+      bestLength = candidate.path.length;
+    }
+  }
+  return best;
+}
+
+/**
+ * Export settings for a Kibana URL: global settings with the matching profile applied
+ * Adds profileName and defaultSpace when a profile matches
+ */
+async function getExportSettingsForUrl(url) {
+  const [settings, profiles] = await Promise.all([getExportSettings(), getHostProfiles()]);
+  const profile = findProfileForUrl(profiles, url);
+  if (!profile) {
+    return settings;
+  }
+
+  const resolved = { ...settings, profileName: profile.name, defaultSpace: profile.defaultSpace || null };
+  for (const key of PROFILE_SETTING_KEYS) {
+    if (profile[key] !== undefined) {
+      resolved[key] = profile[key];
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Show the effective export settings for a Kibana URL in the popup/side panel controls
+ * controls: [[element, setting key], ...], already bound to the global settings
+ * A setting the matching profile overrides shows the profile's value, disabled and labelled
+ * "set by profile <name>"; other controls show (and keep editing) the global setting
+ */
+async function showEffectiveSettings(controls, url) {
+  const [settings, profiles] = await Promise.all([getExportSettings(), getHostProfiles()]);
+  const profile = url ? findProfileForUrl(profiles, url) : null;
+
+  for (const [control, key] of controls) {
+    const overridden = Boolean(profile && profile[key] !== undefined);
+    const value = overridden ? profile[key] : settings[key];
+    if (control.type === 'checkbox') {
+      control.checked = Boolean(value);
+    } else {
+      control.value = value;
+    }
+    control.disabled = overridden;
+
+    let note = control.parentElement.querySelector('.profile-note');
+    if (!note) {
+      note = document.createElement('span');
+      note.className = 'profile-note';
+      control.parentElement.appendChild(note);
+    }
+    note.textContent = overridden ? `set by profile ${profile.name || '(unnamed)'}` : '';
+    note.classList.toggle('hidden', !overridden);
+  }
+}
+
+/**
+ * Serialize the profile set for sharing
+ */
+function serializeHostProfiles(profiles) {
+  return JSON.stringify({ version: PROFILES_EXPORT_VERSION, profiles: profiles.map(normalizeHostProfile) }, null, 2);
+}
+
+/**
+ * Parse a shared profile set, accepting either the export wrapper or a bare array
+ */
+function parseHostProfiles(content) {
+  const data = JSON.parse(content);
+  const profiles = Array.isArray(data) ? data : data?.profiles;
+  if (!Array.isArray(profiles)) {
+    throw new Error('Expected a "profiles" array');
+  }
+
+  return profiles.map((profile, index) => {
+    if (!profile || typeof profile !== 'object') {
+      throw new Error(`Profile ${index + 1} is not an object`);
+    }
+    const normalized = normalizeHostProfile(profile);
+    if (!normalized.url) {
+      throw new Error(`Profile ${index + 1} has no URL`);
+    }
+    if (normalized.outputFormat && !(normalized.outputFormat in OUTPUT_FORMATS)) {
+      throw new Error(`Profile ${index + 1} has an unknown output format: ${normalized.outputFormat}`);
+    }
+    return normalized;
+  });
+}
@@ -0,0 +1,370 @@
+// Saved object NDJSON helpers for Kibana as Code
+// Shared by the side panel and background service worker
+
+/**
+ * Count fields that mark an export summary: saved objects, detection rules, exception lists
+ */
+const EXPORT_SUMMARY_KEYS = ['exportedCount', 'exported_count', 'exported_exception_list_count'];
+
+/**
+ * Check whether a parsed NDJSON line is the export summary Kibana appends
+ * ({ exportedCount, missingRefCount, ... }) rather than a saved object
+ */
+function isExportSummary(line) {
+  return Boolean(line) && typeof line === 'object' && !line.type &&
+    EXPORT_SUMMARY_KEYS.some(key => key in line);
+}
+
+/**
+ * Parse NDJSON export content into saved objects and the optional export summary
+ * Throws with the offending line number on invalid JSON
+ */
+function parseNdjson(content) {
+  const objects = [];
+  let summary = null;
+
+  const lines = content.split(/\r?\n/);
+  lines.forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`);
+    }
+
+    if (isExportSummary(parsed)) {
+      summary = parsed;
+    } else {
+      objects.push(parsed);
+    }
+  });
+
+  return { objects, summary };
+}
+
+/**
+ * Serialize saved objects (and an optional export summary) back to NDJSON
+ */
+function serializeNdjson(objects, summary = null) {
+  const lines = objects.map(object => JSON.stringify(object));
+  if (summary) {
+    lines.push(JSON.stringify(summary));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Get a display title for a saved object
+ */
+function getSavedObjectTitle(object) {
+  return object.attributes?.title || object.attributes?.name || object.meta?.title || object.id;
+}
+
+/**
+ * Top-level saved object fields that change on every save or export
+ */
+const VOLATILE_SAVED_OBJECT_FIELDS = ['created_at', 'created_by', 'updated_at', 'updated_by', 'version'];
+
+/**
+ * Top-level fields of JSON API exports (SLOs, rules) that hold timestamps or runtime state
+ */
+const VOLATILE_JSON_FIELDS = [
+  'createdAt',
+  'updatedAt',
+  'created_at',
+  'updated_at',
+  'created_by',
+  'updated_by',
+  'summary',
+  'execution_status',
+  'last_run',
+  'next_run',
+  'running',
+  'monitoring',
+];
+
+/**
+ * Security Solution NDJSON exports aren't saved objects: their `version` is the rule's own version
+ * and `type` the rule or item type. Per export type, the fields that hold timestamps or revisions
+ * and the fields objects are sorted by
+ */
+const SECURITY_NDJSON_NORMALIZATION = {
+  'security-rule': {
+    volatileFields: ['created_at', 'created_by', 'updated_at', 'updated_by', 'execution_summary'],
+    sortFields: ['rule_id'],
+  },
+  'exception-list': {
+    volatileFields: ['created_at', 'created_by', 'updated_at', 'updated_by', '_version'],
+    sortFields: ['list_id', 'item_id'],
+  },
+  timeline: {
+    volatileFields: ['created', 'createdBy', 'updated', 'updatedBy', 'version'],
+    sortFields: ['savedObjectId'],
+  },
+};
+
+/**
+ * Recursively sort object keys so serialization is stable
+ */
+function sortKeysDeep(value) {
+  if (Array.isArray(value)) {
+    return value.map(sortKeysDeep);
+  }
+  if (value && typeof value === 'object') {
+    const sorted = {};
+    for (const key of Object.keys(value).sort()) {
+      sorted[key] = sortKeysDeep(value[key]);
+    }
+    return sorted;
+  }
+  return value;
+}
+
+/**
+ * Remove the given top-level fields from an object (returns a copy)
+ */
+function omitFields(object, fields) {
+  const copy = { ...object };
+  for (const field of fields) {
+    delete copy[field];
+  }
+  return copy;
+}
+
+/**
+ * Compare saved objects by type, then id
+ */
+function compareSavedObjects(a, b) {
+  return String(a.type).localeCompare(String(b.type)) || String(a.id).localeCompare(String(b.id));
+}
+
+/**
+ * Normalize a saved object for git: drop volatile fields and sort keys
+ */
+function normalizeSavedObject(object) {
+  return sortKeysDeep(omitFields(object, VOLATILE_SAVED_OBJECT_FIELDS));
+}
+
+/**
+ * Normalize NDJSON export content for git-friendly diffs:
+ * volatile fields removed, keys sorted, objects sorted by type/id, summary line dropped
+ */
+function normalizeNdjson(content) {
+  const { objects } = parseNdjson(content);
+  const normalized = objects.map(normalizeSavedObject).sort(compareSavedObjects);
+  return `${serializeNdjson(normalized)}\n`;
+}
+
+/**
+ * Check whether an NDJSON export type holds Security Solution objects, which import through
+ * their own APIs rather than the saved objects import
+ */
+function isSecurityNdjsonType(type) {
+  return type in SECURITY_NDJSON_NORMALIZATION;
+}
+
+/**
+ * Normalize a Security Solution NDJSON export (detection rules, exception lists, timelines):
+ * timestamps removed, keys sorted, objects sorted by their own IDs (rule_id, list_id/item_id, ...),
+ * summary line dropped; rule versions are kept
+ */
+function normalizeSecurityNdjson(content, type) {
+  const { volatileFields, sortFields } = SECURITY_NDJSON_NORMALIZATION[type];
+  const sortKey = object => sortFields.map(field => String(object[field] ?? ''));
+  const normalized = parseNdjson(content).objects
+    .map(object => sortKeysDeep(omitFields(object, volatileFields)))
+    .sort((a, b) => {
+      const [keyA, keyB] = [sortKey(a), sortKey(b)];
+      for (let i = 0; i < keyA.length; i++) {
+        const order = keyA[i].localeCompare(keyB[i]);
+        if (order !== 0) {
+          return order;
+        }
+      }
+      return 0;
+    });
+  return `${serializeNdjson(normalized)}\n`;
+}
+
+/**
+ * Normalize JSON API export content (SLOs, rules): volatile fields removed, keys sorted
+ */
+function normalizeJson(content) {
+  const data = JSON.parse(content);
+  const normalized = Array.isArray(data)
+    ? data.map(item => omitFields(item, VOLATILE_JSON_FIELDS))
+    : omitFields(data, VOLATILE_JSON_FIELDS);
+  return `${JSON.stringify(sortKeysDeep(normalized), null, 2)}\n`;
+}
+
+/**
+ * Normalize exported content based on its file extension and export type
+ */
+function normalizeExport(content, fileExtension, type) {
+  if (fileExtension !== 'ndjson') {
+    return normalizeJson(content);
+  }
+  return isSecurityNdjsonType(type) ? normalizeSecurityNdjson(content, type) : normalizeNdjson(content);
+}
+
+/**
+ * Saved object fields Kibana stores as stringified JSON, as dotted paths
+ */
+const STRINGIFIED_JSON_FIELDS = [
+  'attributes.state',
+  'attributes.visState',
+  'attributes.uiStateJSON',
+  'attributes.panelsJSON',
+  'attributes.optionsJSON',
+  'attributes.layerListJSON',
+  'attributes.mapStateJSON',
+  'attributes.kibanaSavedObjectMeta.searchSourceJSON',
+  'attributes.controlGroupInput.panelsJSON',
+  'attributes.controlGroupInput.ignoreParentSettingsJSON',
+  'attributes.fields',
+  'attributes.fieldAttrs',
+  'attributes.fieldFormatMap',
+  'attributes.runtimeFieldMap',
+  'attributes.sourceFilters',
+];
+
+/**
+ * Key recording which fields an expanded saved object had parsed,
+ * so collapsing restores exactly those (Lens state, for one, may natively be an object)
+ */
+const EXPANDED_FIELDS_KEY = '_expandedFields';
+
+/**
+ * Get the parent object and final key for a dotted path, or null if absent
+ */
+function resolvePath(object, path) {
+  const keys = path.split('.');
+  let parent = object;
+  for (const key of keys.slice(0, -1)) {
+    if (!parent || typeof parent !== 'object') {
+      return null;
+    }
+    parent = parent[key];
+  }
+  const last = keys[keys.length - 1];
+  if (!parent || typeof parent !== 'object' || !(last in parent)) {
+    return null;
+  }
+  return { parent, key: last };
+}
+
+/**
+ * Parse the stringified JSON fields of a saved object into nested objects
+ */
+function expandSavedObject(object) {
+  const expanded = JSON.parse(JSON.stringify(object));
+  const expandedFields = [];
+
+  for (const path of STRINGIFIED_JSON_FIELDS) {
+    const target = resolvePath(expanded, path);
+    if (!target || typeof target.parent[target.key] !== 'string') {
+      continue;
+    }
+    try {
+      target.parent[target.key] = JSON.parse(target.parent[target.key]);
+      expandedFields.push(path);
+    } catch (error) {
+      // Not JSON after all - leave the string untouched
+    }
+  }
+
+  if (expandedFields.length > 0) {
+    expanded[EXPANDED_FIELDS_KEY] = expandedFields;
+  }
+  return expanded;
+}
+
+/**
+ * Stringify the fields expandSavedObject parsed, restoring an importable saved object
+ * Objects without the marker get every known field except Lens state collapsed
+ */
+function collapseSavedObject(object) {
+  const collapsed = JSON.parse(JSON.stringify(object));
+  const fields = collapsed[EXPANDED_FIELDS_KEY]
+    || STRINGIFIED_JSON_FIELDS.filter(path => path !== 'attributes.state');
+  delete collapsed[EXPANDED_FIELDS_KEY];
+
+  for (const path of fields) {
+    const target = resolvePath(collapsed, path);
+    if (target && typeof target.parent[target.key] !== 'string') {
+      target.parent[target.key] = JSON.stringify(target.parent[target.key]);
+    }
+  }
+  return collapsed;
+}
+
+/**
+ * Convert NDJSON export content into a readable, pretty-printed JSON array
+ * with stringified fields expanded; the export summary line is dropped
+ */
+function expandNdjson(content, { sortKeys = false } = {}) {
+  const { objects } = parseNdjson(content);
+  let expanded = objects.map(expandSavedObject);
+  if (sortKeys) {
+    expanded = expanded.map(sortKeysDeep);
+  }
+  return `${JSON.stringify(expanded, null, 2)}\n`;
+}
+
+/**
+ * Parse an expanded file: a JSON array, a single object,
+ * or a sequence of pretty-printed objects
+ */
+function parseExpandedObjects(content) {
+  const trimmed = content.trim();
+  try {
+    const data = JSON.parse(trimmed);
+    return Array.isArray(data) ? data : [data];
+  } catch (error) {
+    // Fall through to a sequence of top-level objects
+  }
+
+  const objects = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  for (let i = 0; i < trimmed.length; i++) {
+    const char = trimmed[i];
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      if (depth === 0) {
+        start = i;
+      }
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        objects.push(JSON.parse(trimmed.substring(start, i + 1)));
+      }
+    }
+  }
+
+  if (objects.length === 0) {
+    throw new Error('No JSON objects found');
+  }
+  return objects;
+}
+
+/**
+ * Convert an expanded file back into importable NDJSON
+ */
+function collapseToNdjson(content) {
+  const objects = parseExpandedObjects(content).filter(object => !isExportSummary(object));
+  return `${serializeNdjson(objects.map(collapseSavedObject))}\n`;
+}
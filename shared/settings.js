@@ -0,0 +1,86 @@
+// Export settings for Kibana as Code
+// Shared by the popup, side panel and background service worker
+
+/**
+ * Output formats the extension can produce
+ */
+const OUTPUT_FORMATS = {
+  native: 'Native (NDJSON / JSON)',
+  expanded: 'Expanded JSON (readable)',
+  terraform: 'Terraform (HCL)',
+  api: 'Create-ready API body (rules, SLOs, connectors, dashboards)',
+};
+
+/**
+ * Default export settings
+ */
+const EXPORT_SETTINGS_DEFAULTS = {
+  outputFormat: 'native',
+  // Strip volatile fields and sort keys/objects for git-friendly diffs
+  normalizeExports: false,
+  // Export referenced objects (index patterns, visualizations, ...) along with the object
+  includeReferencesDeep: true,
+  // Look up the connectors alerting rules reference (listed in the create-ready recreate script)
+  resolveConnectors: false,
+  // Download the connectors alerting rules reference along with the rule
+  bundleConnectors: false,
+  // Turn a dashboard's by-value panels into library objects the dashboard references
+  extractPanelsToLibrary: false,
+  // Download path template and per-type overrides (see shared/filename.js)
+  filenameTemplate: '{title}-{type}',
+  filenameTemplateOverrides: {},
+};
+
+/**
+ * Load export settings from storage, filling in defaults
+ */
+async function getExportSettings() {
+  try {
+    const { exportSettings } = await chrome.storage.local.get('exportSettings');
+    return { ...EXPORT_SETTINGS_DEFAULTS, ...(exportSettings || {}) };
+  } catch (error) {
+    return { ...EXPORT_SETTINGS_DEFAULTS };
+  }
+}
+
+/**
+ * Merge changes into the stored export settings
+ */
+async function saveExportSettings(changes) {
+  const current = await getExportSettings();
+  const updated = { ...current, ...changes };
+  await chrome.storage.local.set({ exportSettings: updated });
+  return updated;
+}
+
+/**
+ * Populate a <select> with the output formats and keep it in sync with storage
+ */
+async function bindOutputFormatSelect(select) {
+  select.innerHTML = '';
+  for (const [value, label] of Object.entries(OUTPUT_FORMATS)) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+
+  const settings = await getExportSettings();
+  select.value = settings.outputFormat;
+
+  select.addEventListener('change', async (e) => {
+    await saveExportSettings({ outputFormat: e.target.value });
+  });
+}
+
+/**
+ * Keep a checkbox in sync with a boolean export setting
+ */
+async function bindSettingCheckbox(checkbox, key) {
+  const settings = await getExportSettings();
+  checkbox.checked = Boolean(settings[key]);
+
+  checkbox.addEventListener('change', async (e) => {
+    await saveExportSettings({ [key]: e.target.checked });
+  });
+}
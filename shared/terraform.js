@@ -0,0 +1,547 @@
+// Terraform (elasticstack provider) output for Kibana as Code
+// Converts exported saved objects, SLOs, alerting rules, connectors and Fleet policies into HCL;
+// requires shared/connectors.js and shared/fleet.js
+
+/**
+ * Terraform resource types per exported Kibana type
+ * Anything exported as NDJSON is imported via elasticstack_kibana_import_saved_objects
+ */
+const TERRAFORM_RESOURCE_TYPES = {
+  slo: 'elasticstack_kibana_slo',
+  alert: 'elasticstack_kibana_alerting_rule',
+  action: 'elasticstack_kibana_action_connector',
+  'agent-policy': 'elasticstack_fleet_agent_policy',
+  'package-policy': 'elasticstack_fleet_integration_policy',
+};
+
+/**
+ * Types the provider has no Kibana resource for (NDJSON that isn't saved objects, case bundles, ML jobs,
+ * dashboard parts that only exist inside a dashboard)
+ */
+const TERRAFORM_UNSUPPORTED_TYPES = [
+  'security-rule',
+  'exception-list',
+  'timeline',
+  'cases',
+  'anomaly-detector',
+  'data-frame-analytics',
+  'control-group',
+  'control',
+  'dashboard-section',
+  'image',
+];
+
+/**
+ * SLO indicator types and the elasticstack_kibana_slo block each maps to
+ */
+const SLO_INDICATOR_BLOCKS = {
+  'sli.apm.transactionDuration': 'apm_latency_indicator',
+  'sli.apm.transactionErrorRate': 'apm_availability_indicator',
+  'sli.kql.custom': 'kql_custom_indicator',
+  'sli.histogram.custom': 'histogram_custom_indicator',
+  'sli.metric.custom': 'metric_custom_indicator',
+  'sli.metric.timeslice': 'timeslice_metric_indicator',
+};
+
+/**
+ * Convert a camelCase key to the provider's snake_case attribute name
+ */
+function toSnakeCase(key) {
+  return key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+}
+
+/**
+ * Turn a title into a valid Terraform resource name
+ */
+function toResourceName(title) {
+  const name = (title || 'untitled')
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, '_')
+    .replace(/_+/g, '_')
+    .replace(/^_|_$/g, '');
+  return /^[a-z_]/.test(name) ? name : `_${name}`;
+}
+
+/**
+ * Name the sensitive Terraform variable for a secret placeholder (SLACK_WEBHOOK_URL -> slack_webhook_url),
+ * guarded like resource names since identifiers can't start with a digit
+ */
+function terraformVariableName(placeholderName) {
+  const name = placeholderName.toLowerCase();
+  return /^[a-z_]/.test(name) ? name : `_${name}`;
+}
+
+/**
+ * Sensitive string variable block for a secret placeholder
+ */
+function sensitiveVariable(placeholderName) {
+  return hclBlock('variable', [
+    hclExpr('type', 'string'),
+    hclAttr('sensitive', true),
+  ], [terraformVariableName(placeholderName)]);
+}
+
+/**
+ * Key marking a raw HCL expression inside a value rendered by hclValue (e.g. a var reference)
+ */
+const HCL_RAW_EXPRESSION = Symbol('hclRawExpression');
+
+/**
+ * Wrap an HCL expression so hclValue renders it unquoted
+ */
+function hclRawValue(expression) {
+  return { [HCL_RAW_EXPRESSION]: expression };
+}
+
+/**
+ * Escape HCL template sequences (${ and %{) in literal text
+ */
+function escapeHclTemplate(text) {
+  return text.replace(/\$\{/g, () => '$${').replace(/%\{/g, () => '%%{');
+}
+
+/**
+ * Render a quoted HCL string literal
+ * JSON escaping is HCL-compatible apart from \b and \f
+ */
+function hclString(value) {
+  // Match whole escape pairs, so an escaped backslash followed by b or f stays as it is
+  const quoted = JSON.stringify(String(value))
+    .replace(/\\[\s\S]/g, pair => ({ '\\b': '\\u0008', '\\f': '\\u000c' })[pair] || pair);
+  return escapeHclTemplate(quoted);
+}
+
+/**
+ * Render any JSON value as an HCL expression
+ * Object keys are always quoted so keys like "null" or "a.b" stay literal
+ */
+function hclValue(value, indent = '') {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (typeof value === 'string') {
+    return hclString(value);
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  if (value[HCL_RAW_EXPRESSION]) {
+    return value[HCL_RAW_EXPRESSION];
+  }
+
+  const inner = `${indent}  `;
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return '[]';
+    }
+    const items = value.map(item => `${inner}${hclValue(item, inner)},`);
+    return `[\n${items.join('\n')}\n${indent}]`;
+  }
+
+  const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+  if (entries.length === 0) {
+    return '{}';
+  }
+  const lines = entries.map(([k, v]) => `${inner}${hclString(k)} = ${hclValue(v, inner)}`);
+  return `{\n${lines.join('\n')}\n${indent}}`;
+}
+
+/**
+ * Body entry helpers - a block body is an array of these
+ */
+function hclAttr(name, value) {
+  return { kind: 'attr', name, value };
+}
+
+function hclExpr(name, expression) {
+  return { kind: 'expr', name, expression };
+}
+
+function hclBlock(name, body, labels = []) {
+  return { kind: 'block', name, body, labels };
+}
+
+/**
+ * Render a block and its body
+ * Attributes with null/undefined values are omitted
+ */
+function renderHclBlock(block, indent = '') {
+  const inner = `${indent}  `;
+  const labels = block.labels.map(label => ` ${hclString(label)}`).join('');
+  const entries = block.body.filter(entry => {
+    return entry.kind !== 'attr' || (entry.value !== null && entry.value !== undefined);
+  });
+
+  // Align "=" for consecutive attributes, like terraform fmt
+  const width = Math.max(0, ...entries.filter(e => e.kind !== 'block').map(e => e.name.length));
+
+  const lines = entries.map(entry => {
+    if (entry.kind === 'block') {
+      return renderHclBlock(entry, inner);
+    }
+    const name = entry.name.padEnd(width);
+    const value = entry.kind === 'expr' ? entry.expression : hclValue(entry.value, inner);
+    return `${inner}${name} = ${value}`;
+  });
+
+  return `${indent}${block.name}${labels} {\n${lines.join('\n')}\n${indent}}`;
+}
+
+/**
+ * Render a value wrapped in jsonencode() so it round-trips exactly
+ */
+function hclJsonEncode(value, indent = '') {
+  return `jsonencode(${hclValue(value, indent)})`;
+}
+
+/**
+ * Render multi-line text as a heredoc
+ */
+function hclHeredoc(text) {
+  let marker = 'EOT';
+  while (text.split('\n').some(line => line.trim() === marker)) {
+    marker = `${marker}_`;
+  }
+  const body = escapeHclTemplate(text.replace(/\n+$/, ''));
+  return `<<${marker}\n${body}\n${marker}`;
+}
+
+/**
+ * Space ID attribute, omitted for the default space
+ */
+function spaceIdAttr(spaceId) {
+  return hclAttr('space_id', spaceId && spaceId !== 'default' ? spaceId : null);
+}
+
+/**
+ * Saved objects (NDJSON) -> elasticstack_kibana_import_saved_objects
+ */
+function savedObjectsToTerraform(content, { title, spaceId }) {
+  return hclBlock('resource', [
+    spaceIdAttr(spaceId),
+    hclAttr('overwrite', true),
+    hclExpr('file_contents', hclHeredoc(content)),
+  ], ['elasticstack_kibana_import_saved_objects', toResourceName(title)]);
+}
+
+/**
+ * Convert SLO indicator params into provider blocks/attributes
+ * Objects become nested blocks, arrays of objects become repeated blocks
+ */
+function indicatorParamsToBody(params) {
+  const body = [];
+  for (const [key, value] of Object.entries(params || {})) {
+    const name = toSnakeCase(key);
+    if (value === null || value === undefined) {
+      continue;
+    }
+    if (Array.isArray(value) && value.some(item => item && typeof item === 'object')) {
+      for (const item of value) {
+        body.push(hclBlock(name, indicatorParamsToBody(item)));
+      }
+    } else if (typeof value === 'object' && !Array.isArray(value)) {
+      // KQL fields can be { kqlQuery, filters } objects; the provider takes the query string
+      if (typeof value.kqlQuery === 'string') {
+        body.push(hclAttr(name, value.kqlQuery));
+      } else {
+        body.push(hclBlock(name, indicatorParamsToBody(value)));
+      }
+    } else {
+      body.push(hclAttr(name, value));
+    }
+  }
+  return body;
+}
+
+/**
+ * SLO definition -> elasticstack_kibana_slo
+ */
+function sloToTerraform(slo, { spaceId }) {
+  const body = [
+    hclAttr('name', slo.name),
+    hclAttr('description', slo.description || ''),
+    hclAttr('slo_id', slo.id),
+    spaceIdAttr(spaceId),
+    hclAttr('budgeting_method', slo.budgetingMethod),
+  ];
+
+  const groupBy = [].concat(slo.groupBy || []).filter(group => group && group !== '*');
+  if (groupBy.length > 0) {
+    body.push(hclAttr('group_by', groupBy));
+  }
+  if (slo.tags && slo.tags.length > 0) {
+    body.push(hclAttr('tags', slo.tags));
+  }
+
+  const indicatorType = slo.indicator?.type;
+  const indicatorBlock = SLO_INDICATOR_BLOCKS[indicatorType];
+  if (indicatorBlock) {
+    body.push(hclBlock(indicatorBlock, indicatorParamsToBody(slo.indicator.params)));
+  } else {
+    throw new Error(`Unsupported SLO indicator type for Terraform: ${indicatorType}`);
+  }
+
+  if (slo.timeWindow) {
+    body.push(hclBlock('time_window', [
+      hclAttr('duration', slo.timeWindow.duration),
+      hclAttr('type', slo.timeWindow.type),
+    ]));
+  }
+
+  if (slo.objective) {
+    body.push(hclBlock('objective', [
+      hclAttr('target', slo.objective.target),
+      hclAttr('timeslice_target', slo.objective.timesliceTarget),
+      hclAttr('timeslice_window', slo.objective.timesliceWindow),
+    ]));
+  }
+
+  if (slo.settings) {
+    body.push(hclBlock('settings', [
+      hclAttr('sync_delay', slo.settings.syncDelay),
+      hclAttr('frequency', slo.settings.frequency),
+      hclAttr('prevent_initial_backfill', slo.settings.preventInitialBackfill),
+    ]));
+  }
+
+  return hclBlock('resource', body, [TERRAFORM_RESOURCE_TYPES.slo, toResourceName(slo.name)]);
+}
+
+/**
+ * Alerting rule -> elasticstack_kibana_alerting_rule
+ */
+function alertingRuleToTerraform(rule, { spaceId }) {
+  const body = [
+    hclAttr('name', rule.name),
+    hclAttr('rule_id', rule.id),
+    spaceIdAttr(spaceId),
+    hclAttr('consumer', rule.consumer),
+    hclAttr('rule_type_id', rule.rule_type_id),
+    hclAttr('interval', rule.schedule?.interval),
+    hclAttr('enabled', rule.enabled),
+    hclAttr('notify_when', rule.notify_when),
+    hclAttr('throttle', rule.throttle),
+    hclAttr('alert_delay', rule.alert_delay?.active),
+  ];
+
+  if (rule.tags && rule.tags.length > 0) {
+    body.push(hclAttr('tags', rule.tags));
+  }
+
+  body.push(hclExpr('params', hclJsonEncode(rule.params || {}, '  ')));
+
+  for (const action of rule.actions || []) {
+    const actionBody = [
+      hclAttr('group', action.group),
+      hclAttr('id', action.id),
+      hclExpr('params', hclJsonEncode(action.params || {}, '    ')),
+    ];
+    if (action.frequency) {
+      actionBody.push(hclBlock('frequency', [
+        hclAttr('summary', action.frequency.summary),
+        hclAttr('notify_when', action.frequency.notify_when),
+        hclAttr('throttle', action.frequency.throttle),
+      ]));
+    }
+    body.push(hclBlock('actions', actionBody));
+  }
+
+  return hclBlock('resource', body, [TERRAFORM_RESOURCE_TYPES.alert, toResourceName(rule.name)]);
+}
+
+/**
+ * Connector -> elasticstack_kibana_action_connector
+ * Secrets reference sensitive variables (see connectorSecretVariables)
+ */
+function connectorToTerraform(connector, { spaceId }) {
+  const body = [
+    hclAttr('name', connector.name),
+    hclAttr('connector_id', connector.id),
+    spaceIdAttr(spaceId),
+    hclAttr('connector_type_id', connector.connector_type_id),
+  ];
+
+  if (connector.config && Object.keys(connector.config).length > 0) {
+    body.push(hclExpr('config', hclJsonEncode(connector.config, '  ')));
+  }
+
+  const secretFields = getConnectorSecretFields(connector);
+  if (secretFields.length > 0) {
+    const entries = secretFields.map(field => {
+      return `    ${hclString(field)} = var.${terraformVariableName(connectorSecretName(connector, field))}`;
+    });
+    body.push(hclExpr('secrets', `jsonencode({\n${entries.join('\n')}\n  })`));
+  }
+
+  return hclBlock('resource', body, [TERRAFORM_RESOURCE_TYPES.action, toResourceName(connector.name)]);
+}
+
+/**
+ * Keep resource labels unique within one file (repeated labels are invalid HCL):
+ * a label already taken gets the object's ID appended
+ */
+function dedupeResourceLabels(blocks, ids) {
+  const used = new Set();
+  blocks.forEach((block, index) => {
+    const [type, name] = block.labels;
+    let label = name;
+    for (let attempt = 1; used.has(`${type}.${label}`); attempt++) {
+      label = toResourceName(attempt === 1 ? `${name}_${ids[index]}` : `${name}_${ids[index]}_${attempt}`);
+    }
+    used.add(`${type}.${label}`);
+    block.labels = [type, label];
+  });
+}
+
+/**
+ * Flatten Fleet vars ({ name: { type, value } }) to the { name: value } map the provider takes
+ * Secret placeholders (see redactPackagePolicySecrets) reference sensitive variables
+ */
+function flattenFleetVars(vars) {
+  return Object.fromEntries(
+    Object.entries(vars || {})
+      .filter(([, variable]) => variable && variable.value !== undefined)
+      .map(([name, variable]) => {
+        const placeholder = typeof variable.value === 'string' && variable.value.match(FLEET_SECRET_PLACEHOLDER);
+        return [name, placeholder ? hclRawValue(`var.${terraformVariableName(placeholder[1])}`) : variable.value];
+      })
+  );
+}
+
+/**
+ * Sensitive variables for the secret placeholders in a package policy's vars
+ */
+function fleetSecretVariables(packagePolicy) {
+  const allVars = [
+    packagePolicy.vars,
+    ...(packagePolicy.inputs || []).flatMap(input => [input.vars, ...(input.streams || []).map(stream => stream.vars)]),
+  ];
+  const names = new Set();
+  for (const vars of allVars) {
+    for (const variable of Object.values(vars || {})) {
+      const placeholder = typeof variable?.value === 'string' && variable.value.match(FLEET_SECRET_PLACEHOLDER);
+      if (placeholder) {
+        names.add(placeholder[1]);
+      }
+    }
+  }
+  return Array.from(names).map(sensitiveVariable);
+}
+
+/**
+ * Agent policy -> elasticstack_fleet_agent_policy
+ */
+function agentPolicyToTerraform(policy) {
+  const monitoring = policy.monitoring_enabled || [];
+  return hclBlock('resource', [
+    hclAttr('policy_id', policy.id),
+    hclAttr('name', policy.name),
+    hclAttr('namespace', policy.namespace),
+    hclAttr('description', policy.description || null),
+    hclAttr('monitor_logs', monitoring.includes('logs')),
+    hclAttr('monitor_metrics', monitoring.includes('metrics')),
+    hclAttr('data_output_id', policy.data_output_id || null),
+    hclAttr('monitoring_output_id', policy.monitoring_output_id || null),
+    hclAttr('fleet_server_host_id', policy.fleet_server_host_id || null),
+    hclAttr('download_source_id', policy.download_source_id || null),
+  ], [TERRAFORM_RESOURCE_TYPES['agent-policy'], toResourceName(policy.name)]);
+}
+
+/**
+ * Package policy -> elasticstack_fleet_integration_policy
+ * agentPolicyRef is an HCL expression for the agent policy ID, or null to use the literal one
+ * Inputs are keyed "<policy_template>-<type>" and streams by dataset, as the provider expects
+ */
+function packagePolicyToTerraform(packagePolicy, agentPolicyRef = null) {
+  const agentPolicyId = packagePolicy.policy_id || packagePolicy.policy_ids?.[0];
+  const body = [
+    hclAttr('policy_id', packagePolicy.id),
+    hclAttr('name', packagePolicy.name),
+    hclAttr('namespace', packagePolicy.namespace || null),
+    hclAttr('description', packagePolicy.description || null),
+    agentPolicyRef ? hclExpr('agent_policy_id', agentPolicyRef) : hclAttr('agent_policy_id', agentPolicyId),
+    hclAttr('integration_name', packagePolicy.package?.name),
+    hclAttr('integration_version', packagePolicy.package?.version),
+    hclAttr('enabled', packagePolicy.enabled !== false),
+  ];
+
+  const vars = flattenFleetVars(packagePolicy.vars);
+  if (Object.keys(vars).length > 0) {
+    body.push(hclExpr('vars_json', hclJsonEncode(vars, '  ')));
+  }
+
+  for (const input of packagePolicy.inputs || []) {
+    const inputBody = [
+      hclAttr('input_id', input.policy_template ? `${input.policy_template}-${input.type}` : input.type),
+      hclAttr('enabled', input.enabled !== false),
+    ];
+    const inputVars = flattenFleetVars(input.vars);
+    if (Object.keys(inputVars).length > 0) {
+      inputBody.push(hclExpr('vars_json', hclJsonEncode(inputVars, '    ')));
+    }
+    const streams = Object.fromEntries((input.streams || []).map(stream => [
+      stream.data_stream?.dataset || stream.id,
+      { enabled: stream.enabled !== false, vars: flattenFleetVars(stream.vars) },
+    ]));
+    if (Object.keys(streams).length > 0) {
+      inputBody.push(hclExpr('streams_json', hclJsonEncode(streams, '    ')));
+    }
+    body.push(hclBlock('input', inputBody));
+  }
+
+  return hclBlock('resource', body, [TERRAFORM_RESOURCE_TYPES['package-policy'], toResourceName(packagePolicy.name)]);
+}
+
+/**
+ * Sensitive variables for a connector's secrets
+ */
+function connectorSecretVariables(connector) {
+  return getConnectorSecretFields(connector).map(field => sensitiveVariable(connectorSecretName(connector, field)));
+}
+
+/**
+ * Convert exported content into a Terraform configuration
+ * meta: { type, title, spaceId }; SLO and connector content may be a single object or an array
+ * Returns null for types in TERRAFORM_UNSUPPORTED_TYPES
+ */
+function toTerraform(content, meta) {
+  if (TERRAFORM_UNSUPPORTED_TYPES.includes(meta.type)) {
+    return null;
+  }
+
+  let blocks;
+  if (meta.type === 'slo') {
+    // A single SLO, or an array of them from an SLO list export
+    blocks = [].concat(JSON.parse(content)).map(slo => sloToTerraform(slo, meta));
+    dedupeResourceLabels(blocks, [].concat(JSON.parse(content)).map(slo => slo.id));
+  } else if (meta.type === 'alert') {
+    blocks = [alertingRuleToTerraform(JSON.parse(content), meta)];
+  } else if (meta.type === 'action') {
+    // Preconfigured connectors are defined in kibana.yml and can't be managed by Terraform
+    const connectors = [].concat(JSON.parse(content)).filter(connector => !connector.is_preconfigured);
+    const resources = connectors.map(connector => connectorToTerraform(connector, meta));
+    dedupeResourceLabels(resources, connectors.map(connector => connector.id));
+    // Same-named connectors share their secret variables, so each is declared once
+    const variables = new Map(connectors.flatMap(connectorSecretVariables).map(block => [block.labels[0], block]));
+    blocks = [...variables.values(), ...resources];
+  } else if (meta.type === 'agent-policy') {
+    // The agent policy, then its integrations referencing it
+    const policy = JSON.parse(content);
+    const policyBlock = agentPolicyToTerraform(policy);
+    const policyRef = `${policyBlock.labels.join('.')}.policy_id`;
+    const packagePolicies = policy.package_policies || [];
+    blocks = [
+      ...packagePolicies.flatMap(fleetSecretVariables),
+      policyBlock,
+      ...packagePolicies.map(packagePolicy => packagePolicyToTerraform(packagePolicy, policyRef)),
+    ];
+  } else if (meta.type === 'package-policy') {
+    const packagePolicy = JSON.parse(content);
+    blocks = [...fleetSecretVariables(packagePolicy), packagePolicyToTerraform(packagePolicy)];
+  } else {
+    blocks = [savedObjectsToTerraform(content, meta)];
+  }
+
+  const header = `# ${meta.title || 'Untitled'} (${meta.type}) - generated by Kibana as Code`;
+  return `${header}\n${blocks.map(block => renderHclBlock(block)).join('\n\n')}\n`;
+}
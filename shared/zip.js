@@ -0,0 +1,126 @@
+// Minimal ZIP writer for Kibana as Code
+// Builds a ZIP archive as a Blob from in-memory files, deflating with CompressionStream when available
+
+/**
+ * CRC-32 lookup table (IEEE polynomial)
+ */
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let c = i;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[i] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Compute the CRC-32 of a byte array
+ */
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Convert a Date to MS-DOS time and date fields
+ */
+function toDosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, date: day };
+}
+
+/**
+ * Raw-deflate bytes, or return null when CompressionStream is unavailable
+ */
+async function deflateRaw(bytes) {
+  if (typeof CompressionStream === 'undefined') {
+    return null;
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Create a ZIP archive
+ * files: [{ name, content }] where content is a string or Uint8Array
+ * Returns a Blob assembled from per-file parts (no single large buffer is built)
+ */
+async function createZipBlob(files, modified = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(modified);
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const nameBytes = encoder.encode(file.name);
+    const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+    const checksum = crc32(data);
+
+    // Only keep the deflated data when it actually saves space
+    const deflated = await deflateRaw(data);
+    const useDeflate = deflated !== null && deflated.length < data.length;
+    const stored = useDeflate ? deflated : data;
+    const method = useDeflate ? 8 : 0;
+
+    // Local file header; flag bit 11 marks UTF-8 names
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true);
+    header.setUint16(4, 20, true);
+    header.setUint16(6, 0x0800, true);
+    header.setUint16(8, method, true);
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, checksum, true);
+    header.setUint32(18, stored.length, true);
+    header.setUint32(22, data.length, true);
+    header.setUint16(26, nameBytes.length, true);
+    header.setUint16(28, 0, true);
+    parts.push(header.buffer, nameBytes, stored);
+
+    // Matching central directory entry
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, method, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, date, true);
+    entry.setUint32(16, checksum, true);
+    entry.setUint32(20, stored.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint16(30, 0, true);
+    entry.setUint16(32, 0, true);
+    entry.setUint16(34, 0, true);
+    entry.setUint16(36, 0, true);
+    entry.setUint32(38, 0, true);
+    entry.setUint32(42, offset, true);
+    centralDirectory.push(entry.buffer, nameBytes);
+
+    offset += 30 + nameBytes.length + stored.length;
+  }
+
+  const centralDirectorySize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+
+  // End of central directory record
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(4, 0, true);
+  end.setUint16(6, 0, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralDirectorySize, true);
+  end.setUint32(16, offset, true);
+  end.setUint16(20, 0, true);
+
+  return new Blob([...parts, ...centralDirectory, end.buffer], { type: 'application/zip' });
+}
@@ -0,0 +1,72 @@
+// Convert view for the Kibana as Code side panel
+// Collapses an expanded JSON export back into importable NDJSON
+
+// DOM elements
+const convertDropzone = document.getElementById('convert-dropzone');
+const convertFileInput = document.getElementById('convert-file-input');
+const convertStatus = document.getElementById('convert-status');
+
+/**
+ * Show the conversion result
+ */
+function showConvertStatus(kind, message) {
+  convertStatus.className = `import-status ${kind}`;
+  convertStatus.textContent = message;
+}
+
+/**
+ * Collapse an expanded file and download the resulting NDJSON
+ */
+async function convertExpandedFile(file) {
+  showConvertStatus('', `Converting ${file.name}...`);
+
+  try {
+    const content = await file.text();
+    const ndjson = collapseToNdjson(content);
+    const count = parseNdjson(ndjson).objects.length;
+
+    const response = await chrome.runtime.sendMessage({
+      action: 'downloadFile',
+      content: ndjson,
+      filename: file.name.replace(/\.(json|ndjson)$/i, ''),
+      fileExtension: 'ndjson',
+      raw: true,
+    });
+
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Download failed');
+    }
+    showConvertStatus('success', `Collapsed ${count} object${count !== 1 ? 's' : ''}: ${response.filename}`);
+  } catch (error) {
+    logger.error('Convert error:', error);
+    showConvertStatus('error', `Could not convert ${file.name}: ${error.message}`);
+  } finally {
+    convertFileInput.value = '';
+  }
+}
+
+// Event listeners
+convertFileInput.addEventListener('change', (e) => {
+  const [file] = e.target.files;
+  if (file) {
+    convertExpandedFile(file);
+  }
+});
+
+convertDropzone.addEventListener('dragover', (e) => {
+  e.preventDefault();
+  convertDropzone.classList.add('dragover');
+});
+
+convertDropzone.addEventListener('dragleave', () => {
+  convertDropzone.classList.remove('dragover');
+});
+
+convertDropzone.addEventListener('drop', (e) => {
+  e.preventDefault();
+  convertDropzone.classList.remove('dragover');
+  const [file] = e.dataTransfer.files;
+  if (file) {
+    convertExpandedFile(file);
+  }
+});
@@ -0,0 +1,192 @@
+// Drift view for the Kibana as Code side panel
+// Diffs a previously exported file against a fresh export of the detected resource
+
+/**
+ * Drift report sections, in display order
+ */
+const DRIFT_CATEGORIES = {
+  panels: 'Panels',
+  queries: 'Queries & filters',
+  attributes: 'Attributes',
+  other: 'Objects & references',
+};
+
+// DOM elements
+const driftTarget = document.getElementById('drift-target');
+const driftDropzone = document.getElementById('drift-dropzone');
+const driftFileInput = document.getElementById('drift-file-input');
+const driftStatus = document.getElementById('drift-status');
+const driftResults = document.getElementById('drift-results');
+
+/**
+ * Show the drift check status
+ */
+function showDriftStatus(kind, message) {
+  driftStatus.className = `import-status ${kind}`;
+  driftStatus.textContent = message;
+}
+
+/**
+ * Get the resource drift is checked against (the page's main resource)
+ */
+async function getDriftResource() {
+  const { panelResources } = await chrome.storage.session.get('panelResources');
+  const resource = panelResources?.[0];
+  return resource && canExportResource(resource) ? resource : null;
+}
+
+/**
+ * Show which resource the drift check will run against
+ */
+async function updateDriftTarget() {
+  const resource = await getDriftResource();
+  driftTarget.textContent = resource
+    ? `Resource: ${resource.title || 'Untitled'} (${resource.type})`
+    : 'Resource: none detected - open a Kibana resource and refresh the Resources tab';
+}
+
+/**
+ * Work out how a local file should be compared
+ * Expanded JSON exports are collapsed back to NDJSON first
+ */
+function prepareLocalExport(content, filename) {
+  if (/\.ndjson$/i.test(filename)) {
+    return { content, fileExtension: 'ndjson' };
+  }
+
+  try {
+    const objects = parseExpandedObjects(content);
+    if (objects.every(object => object.type && object.id && object.attributes)) {
+      return { content: collapseToNdjson(content), fileExtension: 'ndjson' };
+    }
+  } catch (error) {
+    // Not a list of saved objects - compare as plain JSON
+  }
+  return { content, fileExtension: 'json' };
+}
+
+/**
+ * Read the value at a diff path
+ */
+function getAtPath(root, path) {
+  return path.reduce((value, key) => (value == null ? undefined : value[key]), root);
+}
+
+/**
+ * Render the drift report, grouped by category (and by panel for panel changes)
+ */
+function renderDriftReport(changes, local, live) {
+  driftResults.innerHTML = '';
+
+  const byCategory = {};
+  for (const change of changes) {
+    const category = categorizeChange(change);
+    (byCategory[category] = byCategory[category] || []).push(change);
+  }
+
+  for (const [category, label] of Object.entries(DRIFT_CATEGORIES)) {
+    const categoryChanges = byCategory[category];
+    if (!categoryChanges) {
+      continue;
+    }
+
+    const section = document.createElement('section');
+    section.className = 'drift-section';
+    section.innerHTML = `<h2>${escapeHtml(label)}<span class="drift-count">${categoryChanges.length}</span></h2>`;
+
+    if (category === 'panels') {
+      for (const group of groupChangesByPanel(categoryChanges).values()) {
+        const panel = getAtPath(live, group.path) || getAtPath(local, group.path) || {};
+        const title = panel.title || panel.embeddableConfig?.title || panel.embeddableConfig?.attributes?.title || `Panel ${group.index}`;
+        const heading = document.createElement('h3');
+        heading.textContent = `${title} (${group.changes.length} change${group.changes.length !== 1 ? 's' : ''})`;
+        section.appendChild(heading);
+        section.appendChild(renderSideBySideDiff(group.changes, 'Local file', 'Live Kibana'));
+      }
+    } else {
+      section.appendChild(renderSideBySideDiff(categoryChanges, 'Local file', 'Live Kibana'));
+    }
+
+    driftResults.appendChild(section);
+  }
+}
+
+/**
+ * Compare a local export file with a fresh export of the detected resource
+ */
+async function checkDrift(file) {
+  driftResults.innerHTML = '';
+  showDriftStatus('', `Exporting live resource to compare with ${file.name}...`);
+
+  try {
+    const resource = await getDriftResource();
+    if (!resource) {
+      throw new Error('No exportable resource detected on this page');
+    }
+
+    const local = prepareLocalExport(await file.text(), file.name);
+    const response = await chrome.tabs.sendMessage(currentTabId, {
+      action: 'getExportContent',
+      type: resource.type,
+      id: resource.id,
+      panelIndex: resource.panelIndex,
+      dashboardId: resource.dashboardId,
+      isEmbedded: resource.isEmbedded,
+      useAlternativeApi: resource.useAlternativeApi || false,
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Live export failed');
+    }
+
+    // Downloads always go through these transforms (e.g. connector secret placeholders), so the live side must too
+    const live = prepareExport(response.content, resource.type);
+    const localParsed = parseExportForDiff(local.content, local.fileExtension);
+    const liveParsed = parseExportForDiff(live.content, response.fileExtension);
+    const changes = diffValues(localParsed, liveParsed);
+
+    if (changes.length === 0) {
+      showDriftStatus('success', `No drift: ${resource.title || resource.type} matches ${file.name}`);
+      return;
+    }
+
+    showDriftStatus('error', `${changes.length} difference${changes.length !== 1 ? 's' : ''} between ${file.name} and Kibana`);
+    renderDriftReport(changes, localParsed, liveParsed);
+  } catch (error) {
+    logger.error('Drift check error:', error);
+    showDriftStatus('error', error.message);
+  } finally {
+    driftFileInput.value = '';
+  }
+}
+
+// Event listeners
+driftFileInput.addEventListener('change', (e) => {
+  const [file] = e.target.files;
+  if (file) {
+    checkDrift(file);
+  }
+});
+
+driftDropzone.addEventListener('dragover', (e) => {
+  e.preventDefault();
+  driftDropzone.classList.add('dragover');
+});
+
+driftDropzone.addEventListener('dragleave', () => {
+  driftDropzone.classList.remove('dragover');
+});
+
+driftDropzone.addEventListener('drop', (e) => {
+  e.preventDefault();
+  driftDropzone.classList.remove('dragover');
+  const [file] = e.dataTransfer.files;
+  if (file) {
+    checkDrift(file);
+  }
+});
+
+document.addEventListener('viewchange', (e) => {
+  if (e.detail.viewId === 'drift-view') {
+    updateDriftTarget();
+  }
+});
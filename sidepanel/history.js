@@ -0,0 +1,220 @@
+// History view for the Kibana as Code side panel
+// Lists recorded exports for search, re-download, deletion and version diffs
+
+// DOM elements
+const historySearch = document.getElementById('history-search');
+const historyCount = document.getElementById('history-count');
+const historyList = document.getElementById('history-list');
+const historyCompareBtn = document.getElementById('history-compare-btn');
+const historyDiff = document.getElementById('history-diff');
+const historyDiffTitle = document.getElementById('history-diff-title');
+const historyDiffBody = document.getElementById('history-diff-body');
+const historyDiffClose = document.getElementById('history-diff-close');
+
+// Entries loaded from the history store
+let historyEntries = [];
+
+/**
+ * Format an entry timestamp for display
+ */
+function formatHistoryTime(timestamp) {
+  return new Date(timestamp).toLocaleString();
+}
+
+/**
+ * Check whether an entry matches the search text
+ */
+function matchesHistorySearch(entry, query) {
+  if (!query) {
+    return true;
+  }
+  const haystack = [entry.title, entry.type, entry.id, entry.host, entry.spaceId, entry.filename]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+  return query.toLowerCase().split(/\s+/).every(term => haystack.includes(term));
+}
+
+/**
+ * Render the (filtered) history list
+ */
+function renderHistory() {
+  const query = historySearch.value.trim();
+  const entries = historyEntries.filter(entry => matchesHistorySearch(entry, query));
+  historyList.innerHTML = '';
+
+  for (const entry of entries) {
+    const li = document.createElement('li');
+    li.className = 'resource-item';
+    li.dataset.key = entry.key;
+    li.innerHTML = `
+      <div class="resource-content">
+        <div class="resource-header">
+          <input type="checkbox" class="resource-select history-select" data-key="${entry.key}" title="Select to compare">
+          <div class="resource-info">
+            <div class="resource-title">${escapeHtml(entry.title || 'Untitled')}</div>
+            <div class="resource-meta">
+              <span class="resource-type" style="background-color: ${stringToColor(entry.type || '')}">${escapeHtml(entry.type || 'unknown')}</span>
+              ${entry.id ? `<span class="resource-id" title="${escapeHtml(entry.id)}">${escapeHtml(entry.id)}</span>` : ''}
+            </div>
+            <div class="history-meta">
+              ${escapeHtml(formatHistoryTime(entry.timestamp))} · ${escapeHtml(entry.host || 'unknown host')} · space: ${escapeHtml(entry.spaceId || 'default')}
+            </div>
+          </div>
+          <div class="history-actions">
+            <button class="btn-icon history-download" data-key="${entry.key}" title="Download again">⬇️</button>
+            <button class="btn-icon history-delete" data-key="${entry.key}" title="Delete">🗑️</button>
+          </div>
+        </div>
+      </div>
+    `;
+    historyList.appendChild(li);
+  }
+
+  historyCount.textContent = query
+    ? `${entries.length} of ${historyEntries.length} exports`
+    : `${historyEntries.length} export${historyEntries.length !== 1 ? 's' : ''}`;
+  updateCompareButton();
+}
+
+/**
+ * Load entries from the store and render them
+ */
+async function loadHistory() {
+  try {
+    historyEntries = await listHistoryEntries();
+  } catch (error) {
+    logger.error('Failed to load export history:', error);
+    historyEntries = [];
+  }
+  renderHistory();
+}
+
+/**
+ * Get the entries currently selected for comparison
+ */
+function getSelectedHistoryEntries() {
+  const keys = Array.from(historyList.querySelectorAll('.history-select:checked'))
+    .map(checkbox => Number(checkbox.dataset.key));
+  return historyEntries.filter(entry => keys.includes(entry.key));
+}
+
+/**
+ * Enable comparison only for exactly two versions of the same object
+ */
+function updateCompareButton() {
+  const selected = getSelectedHistoryEntries();
+  const comparable = selected.length === 2 && selected[0].objectKey === selected[1].objectKey;
+  historyCompareBtn.disabled = !comparable;
+  historyCompareBtn.title = comparable
+    ? 'Compare the two selected versions'
+    : 'Select two versions of the same object';
+}
+
+/**
+ * Show a side-by-side diff of the two selected versions (older on the left)
+ */
+function compareSelectedHistory() {
+  const [newer, older] = getSelectedHistoryEntries().sort((a, b) => b.timestamp - a.timestamp);
+  if (!newer || !older) {
+    return;
+  }
+
+  historyDiffBody.innerHTML = '';
+  try {
+    const changes = diffExports(older.content, older.fileExtension, newer.content, newer.fileExtension);
+    historyDiffTitle.textContent = `${newer.title || 'Untitled'}: ${changes.length} difference${changes.length !== 1 ? 's' : ''}`;
+    historyDiffBody.appendChild(renderSideBySideDiff(
+      changes,
+      formatHistoryTime(older.timestamp),
+      formatHistoryTime(newer.timestamp)
+    ));
+  } catch (error) {
+    historyDiffTitle.textContent = 'Differences';
+    historyDiffBody.textContent = `Could not compare: ${error.message}`;
+  }
+  historyDiff.classList.remove('hidden');
+}
+
+/**
+ * Download a recorded export again, using the current output settings
+ */
+async function redownloadHistoryEntry(key, button) {
+  const entry = await getHistoryEntry(key);
+  if (!entry) {
+    return;
+  }
+
+  button.disabled = true;
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'downloadFile',
+      content: entry.content,
+      title: entry.title,
+      type: entry.type,
+      subType: entry.subType,
+      id: entry.id,
+      fileExtension: entry.fileExtension,
+      spaceId: entry.spaceId,
+      baseUrl: entry.baseUrl,
+      // Entries recorded before prepared content was stored are prepared again
+      prepared: Boolean(entry.prepared),
+      companions: entry.companions || [],
+      connectors: entry.connectors,
+      // ZIP manifests are re-downloaded as-is rather than converted to the output format
+      raw: Boolean(entry.raw),
+      recordHistory: false,
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Download failed');
+    }
+  } catch (error) {
+    logger.error('Re-download error:', error);
+    setResourceStatus(button.closest('.resource-item'), 'error', error.message);
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Delete a recorded export
+ */
+async function deleteHistory(key) {
+  await deleteHistoryEntry(key);
+  historyEntries = historyEntries.filter(entry => entry.key !== key);
+  renderHistory();
+}
+
+// Event listeners
+historySearch.addEventListener('input', renderHistory);
+
+historyList.addEventListener('click', (e) => {
+  const downloadButton = e.target.closest('.history-download');
+  if (downloadButton) {
+    redownloadHistoryEntry(Number(downloadButton.dataset.key), downloadButton);
+    return;
+  }
+
+  const deleteButton = e.target.closest('.history-delete');
+  if (deleteButton) {
+    deleteHistory(Number(deleteButton.dataset.key));
+  }
+});
+
+historyList.addEventListener('change', (e) => {
+  if (e.target.classList.contains('history-select')) {
+    updateCompareButton();
+  }
+});
+
+historyCompareBtn.addEventListener('click', compareSelectedHistory);
+
+historyDiffClose.addEventListener('click', () => {
+  historyDiff.classList.add('hidden');
+});
+
+document.addEventListener('viewchange', (e) => {
+  if (e.detail.viewId === 'history-view') {
+    loadHistory();
+  }
+});
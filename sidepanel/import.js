@@ -0,0 +1,274 @@
+// Import view for the Kibana as Code side panel
+// Previews an NDJSON file and posts it to /api/saved_objects/_import in the current tab's Kibana
+
+// DOM elements
+const importTarget = document.getElementById('import-target');
+const importDropzone = document.getElementById('import-dropzone');
+const importFileInput = document.getElementById('import-file-input');
+const importPreview = document.getElementById('import-preview');
+const importSummary = document.getElementById('import-summary');
+const importClearBtn = document.getElementById('import-clear-btn');
+const importBtn = document.getElementById('import-btn');
+const importStatus = document.getElementById('import-status');
+const importObjectsList = document.getElementById('import-objects-list');
+const importCompatibilityMode = document.getElementById('import-compatibility-mode');
+
+// File currently staged for import
+let importFile = null;
+
+// Space the import goes to (the tab's space, or the host profile's default space)
+let importSpaceId = null;
+
+/**
+ * Key used to match import results back to preview rows
+ */
+function importObjectKey(type, id) {
+  return `${type}:${id}`;
+}
+
+/**
+ * Describe an import error from the _import response
+ */
+function describeImportError(error) {
+  switch (error.type) {
+    case 'conflict':
+      return 'Conflict: an object with this ID already exists';
+    case 'ambiguous_conflict':
+      return `Ambiguous conflict: ${(error.destinations || []).length} possible destinations`;
+    case 'missing_references': {
+      const refs = (error.references || []).map(ref => `${ref.type}/${ref.id}`).join(', ');
+      return `Missing references: ${refs}`;
+    }
+    case 'unsupported_type':
+      return 'Unsupported type';
+    default:
+      return error.message || error.type || 'Unknown error';
+  }
+}
+
+/**
+ * Show where the import will go (host and space of the current tab)
+ * Tabs in the default space import into the host profile's default space, if it sets one
+ */
+async function updateImportTarget() {
+  importSpaceId = null;
+  try {
+    const tab = await getActiveKibanaTab();
+    if (!tab) {
+      importTarget.textContent = 'Target: no active tab';
+      return;
+    }
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'getSavedObjectInfo' });
+    const baseUrl = response?.baseUrl || tab.url;
+    const settings = await getExportSettingsForUrl(baseUrl);
+    const tabSpaceId = response?.spaceId || 'default';
+    const useProfileSpace = tabSpaceId === 'default' && settings.defaultSpace;
+    importSpaceId = useProfileSpace ? settings.defaultSpace : tabSpaceId;
+    const profileNote = useProfileSpace ? `, from profile "${settings.profileName}"` : '';
+    importTarget.textContent = `Target: ${baseUrl} (space: ${importSpaceId}${profileNote})`;
+  } catch (error) {
+    importTarget.textContent = 'Target: current tab (not a Kibana page?)';
+  }
+}
+
+/**
+ * Render the objects contained in the staged file
+ */
+function renderImportPreview(objects) {
+  importObjectsList.innerHTML = '';
+
+  for (const object of objects) {
+    const li = document.createElement('li');
+    li.className = 'resource-item';
+    li.dataset.key = importObjectKey(object.type, object.id);
+    li.innerHTML = `
+      <div class="resource-content">
+        <div class="resource-title">${escapeHtml(getSavedObjectTitle(object) || 'Untitled')}</div>
+        <div class="resource-meta">
+          <span class="resource-type" style="background-color: ${stringToColor(object.type)}">${escapeHtml(object.type)}</span>
+          <span class="resource-id" title="${escapeHtml(object.id)}">${escapeHtml(object.id)}</span>
+        </div>
+      </div>
+    `;
+    importObjectsList.appendChild(li);
+  }
+
+  importSummary.textContent = `${importFile.name}: ${objects.length} object${objects.length !== 1 ? 's' : ''}`;
+}
+
+/**
+ * Stage a file for import and preview its contents
+ */
+async function stageImportFile(file) {
+  clearImport();
+
+  try {
+    const content = await file.text();
+    const { objects } = parseNdjson(content);
+    if (objects.length === 0) {
+      throw new Error('File contains no saved objects');
+    }
+
+    importFile = { name: file.name, content, objects };
+    renderImportPreview(objects);
+    importPreview.classList.remove('hidden');
+  } catch (error) {
+    showImportStatus('error', `Could not read ${file.name}: ${error.message}`);
+    importBtn.disabled = true;
+    importPreview.classList.remove('hidden');
+  }
+}
+
+/**
+ * Reset the import view
+ */
+function clearImport() {
+  importFile = null;
+  importFileInput.value = '';
+  importObjectsList.innerHTML = '';
+  importSummary.textContent = '0 objects';
+  importStatus.classList.add('hidden');
+  importPreview.classList.add('hidden');
+  importBtn.disabled = false;
+}
+
+/**
+ * Show an overall status message
+ */
+function showImportStatus(kind, message) {
+  importStatus.className = `import-status ${kind}`;
+  importStatus.textContent = message;
+}
+
+/**
+ * Mark a preview row with its import outcome
+ */
+function setImportRowStatus(key, kind, message) {
+  const item = importObjectsList.querySelector(`[data-key="${CSS.escape(key)}"]`);
+  if (!item) {
+    return;
+  }
+
+  const existing = item.querySelector('.resource-status');
+  if (existing) {
+    existing.remove();
+  }
+
+  const status = document.createElement('div');
+  status.className = `resource-status ${kind}`;
+  status.textContent = message;
+  item.appendChild(status);
+}
+
+/**
+ * Get the selected import options
+ */
+function getImportOptions() {
+  const mode = document.querySelector('input[name="import-mode"]:checked').value;
+  return {
+    overwrite: mode === 'overwrite',
+    createNewCopies: mode === 'createNewCopies',
+    compatibilityMode: mode !== 'createNewCopies' && importCompatibilityMode.checked,
+  };
+}
+
+/**
+ * Post the staged file to Kibana and report per-object results
+ */
+async function runImport() {
+  if (!importFile) {
+    return;
+  }
+
+  importBtn.disabled = true;
+  importBtn.textContent = 'Importing...';
+  showImportStatus('', 'Importing...');
+
+  try {
+    const tab = await getActiveKibanaTab();
+    if (!tab) {
+      throw new Error('No active tab');
+    }
+
+    const response = await chrome.tabs.sendMessage(tab.id, {
+      action: 'importSavedObjects',
+      content: importFile.content,
+      filename: importFile.name,
+      spaceId: importSpaceId,
+      ...getImportOptions(),
+    });
+
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Import failed');
+    }
+
+    const { result } = response;
+    for (const success of result.successResults || []) {
+      const destination = success.destinationId ? ` as ${success.destinationId}` : '';
+      const action = success.overwrite ? 'Overwritten' : 'Imported';
+      setImportRowStatus(importObjectKey(success.type, success.id), 'success', `${action}${destination}`);
+    }
+    for (const error of result.errors || []) {
+      setImportRowStatus(importObjectKey(error.type, error.id), 'error', describeImportError(error.error || {}));
+    }
+
+    const errorCount = (result.errors || []).length;
+    if (result.success) {
+      showImportStatus('success', `Imported ${result.successCount} object${result.successCount !== 1 ? 's' : ''}`);
+    } else {
+      showImportStatus('error', `Imported ${result.successCount || 0}, ${errorCount} failed`);
+    }
+  } catch (error) {
+    logger.error('Import error:', error);
+    showImportStatus('error', error.message);
+  } finally {
+    importBtn.disabled = false;
+    importBtn.textContent = 'Import into Kibana';
+  }
+}
+
+// Event listeners
+importFileInput.addEventListener('change', (e) => {
+  const [file] = e.target.files;
+  if (file) {
+    stageImportFile(file);
+  }
+});
+
+importDropzone.addEventListener('dragover', (e) => {
+  e.preventDefault();
+  importDropzone.classList.add('dragover');
+});
+
+importDropzone.addEventListener('dragleave', () => {
+  importDropzone.classList.remove('dragover');
+});
+
+importDropzone.addEventListener('drop', (e) => {
+  e.preventDefault();
+  importDropzone.classList.remove('dragover');
+  const [file] = e.dataTransfer.files;
+  if (file) {
+    stageImportFile(file);
+  }
+});
+
+// Compatibility mode can't be combined with creating new copies
+document.querySelectorAll('input[name="import-mode"]').forEach(radio => {
+  radio.addEventListener('change', () => {
+    const createNewCopies = getImportOptions().createNewCopies;
+    importCompatibilityMode.disabled = createNewCopies;
+    if (createNewCopies) {
+      importCompatibilityMode.checked = false;
+    }
+  });
+});
+
+importClearBtn.addEventListener('click', clearImport);
+importBtn.addEventListener('click', runImport);
+
+document.addEventListener('viewchange', (e) => {
+  if (e.detail.viewId === 'import-view') {
+    updateImportTarget();
+  }
+});
@@ -6,6 +6,11 @@ const noResourcesState = document.getElementById('no-resources');
 const resourcesContainer = document.getElementById('resources-container');
 const resourcesList = document.getElementById('resources-list');
 const resourceCount = document.getElementById('resource-count');
+const spaceLabel = document.getElementById('space-label');
+const selectAllCheckbox = document.getElementById('select-all-checkbox');
+const batchModeSelect = document.getElementById('batch-mode');
+const batchExportBtn = document.getElementById('batch-export-btn');
+const batchStatus = document.getElementById('batch-status');
 const refreshBtn = document.getElementById('refresh-btn');
 const autoRefreshCheckbox = document.getElementById('auto-refresh-checkbox');
 
@@ -56,15 +61,22 @@ function showState(state) {
   }
 }
 
+/**
+ * Check whether a resource can be exported
+ * Can export if it has an ID, is embedded, or uses an alternative API
+ */
+function canExportResource(resource) {
+  return Boolean(!resource.notExportable && (resource.id || resource.isEmbedded || resource.useAlternativeApi));
+}
+
 /**
  * Render a single resource item
  */
 function renderResourceItem(resource, index) {
   const isPrimary = index === 0;
-  const isEmbedded = resource.isEmbedded;
   const isNotExportable = resource.notExportable;
   const usesAltApi = resource.useAlternativeApi;
-  const canExport = !isNotExportable && (resource.id || isEmbedded || usesAltApi); // Can export if has ID, is embedded, or uses alt API
+  const canExport = canExportResource(resource);
   
   const li = document.createElement('li');
   li.className = `resource-item${isPrimary ? ' primary' : ''}${isNotExportable ? ' not-exportable' : ''}`;
@@ -97,6 +109,7 @@ function renderResourceItem(resource, index) {
   li.innerHTML = `
     <div class="resource-content">
       <div class="resource-header">
+        <input type="checkbox" class="resource-select" data-index="${index}" ${!canExport ? 'disabled' : ''} title="Select for batch export">
         <div class="resource-info">
           <div class="resource-title">${escapeHtml(resource.title || 'Untitled')}</div>
           <div class="resource-meta">
@@ -116,15 +129,6 @@ function renderResourceItem(resource, index) {
   return li;
 }
 
-/**
- * Escape HTML
- */
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
-}
-
 /**
  * Render all resources
  */
@@ -141,12 +145,64 @@ function renderResources(resources) {
     resourcesList.appendChild(item);
   });
   
-  const exportableCount = resources.filter(r => !r.notExportable && (r.id || r.isEmbedded || r.useAlternativeApi)).length;
+  const exportableCount = resources.filter(canExportResource).length;
   resourceCount.textContent = `${resources.length} resource${resources.length !== 1 ? 's' : ''} (${exportableCount} exportable)`;
   
+  // Show the Kibana space the resources belong to
+  const spaceId = resources[0].spaceId;
+  if (spaceId) {
+    spaceLabel.textContent = `Space: ${spaceId}`;
+    spaceLabel.classList.remove('hidden');
+  } else {
+    spaceLabel.classList.add('hidden');
+  }
+  
+  updateBatchControls();
+  batchStatus.classList.add('hidden');
+  
   showState('resources');
 }
 
+/**
+ * Get the resource indexes currently selected for batch export
+ */
+function getSelectedIndexes() {
+  return Array.from(resourcesList.querySelectorAll('.resource-select:checked'))
+    .map(checkbox => parseInt(checkbox.dataset.index, 10));
+}
+
+/**
+ * Sync the select-all checkbox and batch button with the current selection
+ */
+function updateBatchControls() {
+  const selectable = resourcesList.querySelectorAll('.resource-select:not(:disabled)');
+  const selectedCount = getSelectedIndexes().length;
+  
+  selectAllCheckbox.checked = selectable.length > 0 && selectedCount === selectable.length;
+  selectAllCheckbox.indeterminate = selectedCount > 0 && selectedCount < selectable.length;
+  batchExportBtn.disabled = selectedCount === 0;
+  batchExportBtn.querySelector('.btn-text').textContent = selectedCount > 0
+    ? `Export selected (${selectedCount})`
+    : 'Export selected';
+}
+
+/**
+ * Replace the status line of a resource item
+ */
+function setResourceStatus(item, kind, message) {
+  const existingStatus = item.querySelector('.resource-status');
+  if (existingStatus) {
+    existingStatus.remove();
+  }
+  
+  if (message) {
+    const status = document.createElement('div');
+    status.className = `resource-status ${kind}`;
+    status.textContent = message;
+    item.appendChild(status);
+  }
+}
+
 /**
  * Handle download button click
  */
@@ -158,8 +214,7 @@ async function handleDownload(index, button) {
   }
   
   const resource = panelResources[index];
-  const canExport = !resource.notExportable && (resource.id || resource.isEmbedded || resource.useAlternativeApi);
-  if (!canExport) {
+  if (!canExportResource(resource)) {
     return;
   }
   
@@ -170,16 +225,14 @@ async function handleDownload(index, button) {
   
   // Remove any existing status
   const item = button.closest('.resource-item');
-  const existingStatus = item.querySelector('.resource-status');
-  if (existingStatus) {
-    existingStatus.remove();
-  }
+  setResourceStatus(item, null, null);
   
   try {
     // Send export request to content script
     const response = await chrome.tabs.sendMessage(currentTabId, {
       action: 'exportSavedObject',
       type: resource.type,
+      subType: resource.subType,
       id: resource.id,
       title: resource.title,
       panelIndex: resource.panelIndex,
@@ -194,10 +247,7 @@ async function handleDownload(index, button) {
       button.querySelector('.btn-text').textContent = 'Done!';
       
       // Add success status
-      const status = document.createElement('div');
-      status.className = 'resource-status success';
-      status.textContent = `Exported: ${response.filename}`;
-      item.appendChild(status);
+      setResourceStatus(item, 'success', `Exported: ${response.filename}`);
       
       // Reset button after delay
       setTimeout(() => {
@@ -216,10 +266,7 @@ async function handleDownload(index, button) {
     button.querySelector('.btn-text').textContent = 'Failed';
     
     // Add error status
-    const status = document.createElement('div');
-    status.className = 'resource-status error';
-    status.textContent = error.message;
-    item.appendChild(status);
+    setResourceStatus(item, 'error', error.message);
     
     // Reset button after delay
     setTimeout(() => {
@@ -230,6 +277,193 @@ async function handleDownload(index, button) {
   }
 }
 
+/**
+ * Combine NDJSON exports into one document, keeping a single copy of each
+ * object (shared data views, tags, ...) and a fresh export summary
+ */
+function combineNdjsonExports(contents) {
+  const combined = new Map();
+  for (const content of contents) {
+    for (const object of parseNdjson(content).objects) {
+      combined.set(`${object.type}:${object.id}`, object);
+    }
+  }
+  
+  const objects = Array.from(combined.values());
+  return serializeNdjson(objects, {
+    excludedObjects: [],
+    excludedObjectsCount: 0,
+    exportedCount: objects.length,
+    missingRefCount: 0,
+    missingReferences: [],
+  });
+}
+
+/**
+ * Show the overall batch export status
+ */
+function showBatchStatus(kind, message) {
+  batchStatus.className = `import-status ${kind}`;
+  batchStatus.textContent = message;
+}
+
+/**
+ * Export all selected resources as one combined NDJSON file or a ZIP
+ * Each item reports its own progress and failure inline
+ */
+async function handleBatchExport() {
+  const indexes = getSelectedIndexes();
+  const { panelResources } = await chrome.storage.session.get('panelResources');
+  if (!panelResources || indexes.length === 0) {
+    return;
+  }
+  
+  const mode = batchModeSelect.value;
+  batchExportBtn.disabled = true;
+  
+  const exported = [];
+  let failures = 0;
+  let spaceId = null;
+  let baseUrl = null;
+  
+  for (const [position, index] of indexes.entries()) {
+    const resource = panelResources[index];
+    const item = resourcesList.querySelector(`.resource-item[data-index="${index}"]`);
+    showBatchStatus('', `Exporting ${position + 1} of ${indexes.length}...`);
+    setResourceStatus(item, '', 'Exporting...');
+    
+    try {
+      // The combined file is a saved objects export; rules, exception lists and timelines import elsewhere
+      if (mode === 'ndjson' && isSecurityNdjsonType(resource.type)) {
+        throw new Error(`Skipped: ${resource.type} exports import through their own API and can't be combined - use ZIP`);
+      }
+      
+      const response = await chrome.tabs.sendMessage(currentTabId, {
+        action: 'getExportContent',
+        type: resource.type,
+        id: resource.id,
+        panelIndex: resource.panelIndex,
+        dashboardId: resource.dashboardId,
+        isEmbedded: resource.isEmbedded,
+        useAlternativeApi: resource.useAlternativeApi || false,
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Export failed');
+      }
+      
+      if (mode === 'ndjson' && response.fileExtension !== 'ndjson') {
+        throw new Error(`Skipped: ${response.fileExtension.toUpperCase()} exports can't be combined into NDJSON - use ZIP`);
+      }
+      
+      spaceId = response.spaceId;
+      baseUrl = response.baseUrl;
+      exported.push({ resource, content: response.content, fileExtension: response.fileExtension, connectors: response.connectors });
+      setResourceStatus(item, 'success', 'Exported');
+    } catch (error) {
+      failures++;
+      setResourceStatus(item, 'error', error.message);
+    }
+  }
+  
+  try {
+    if (exported.length === 0) {
+      throw new Error('Nothing was exported');
+    }
+    
+    const primary = panelResources[0];
+    const title = `${primary?.title || 'Kibana'} selection`;
+    let response;
+    
+    if (mode === 'zip') {
+      response = await chrome.runtime.sendMessage({
+        action: 'downloadZip',
+        title,
+        type: 'export',
+        spaceId,
+        baseUrl,
+        files: exported.map(({ resource, content, fileExtension, connectors }) => ({
+          type: resource.type,
+          subType: resource.subType,
+          id: resource.id || resource.panelIndex,
+          title: resource.title,
+          content,
+          fileExtension,
+          connectors,
+        })),
+        manifest: {
+          kibana: baseUrl,
+          spaceId,
+          source: currentTabUrl,
+          exportedAt: new Date().toISOString(),
+        },
+      });
+    } else {
+      response = await chrome.runtime.sendMessage({
+        action: 'downloadFile',
+        content: combineNdjsonExports(exported.map(({ content }) => content)),
+        title,
+        type: 'export',
+        fileExtension: 'ndjson',
+        spaceId,
+        baseUrl,
+      });
+    }
+    
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Download failed');
+    }
+    
+    const failureNote = failures > 0 ? ` (${failures} failed)` : '';
+    showBatchStatus(failures > 0 ? 'error' : 'success', `Exported ${exported.length} resources${failureNote}: ${response.filename}`);
+  } catch (error) {
+    logger.error('Batch export error:', error);
+    showBatchStatus('error', error.message);
+  } finally {
+    updateBatchControls();
+  }
+}
+
+/**
+ * Inject the content script into a tab and wait for it to initialize
+ * Injection is skipped when the script is already loaded, so this is safe to repeat
+ */
+async function ensureContentScript(tabId) {
+  try {
+    await injectContentScript(tabId);
+  } catch (e) {
+    // Pages the extension can't script (e.g. chrome://)
+  }
+  
+  // Wait for script to initialize
+  await new Promise(resolve => setTimeout(resolve, 100));
+}
+
+/**
+ * Get the active tab, with the content script injected
+ */
+async function getActiveKibanaTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab) {
+    return null;
+  }
+  currentTabId = tab.id;
+  await ensureContentScript(tab.id);
+  return tab;
+}
+
+/**
+ * Switch between side panel views (Resources, Import, ...)
+ */
+function showView(viewId) {
+  document.querySelectorAll('.view').forEach(view => {
+    view.classList.toggle('hidden', view.id !== viewId);
+  });
+  document.querySelectorAll('.view-tab').forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.view === viewId);
+  });
+  document.dispatchEvent(new CustomEvent('viewchange', { detail: { viewId } }));
+}
+
 /**
  * Scan page for resources
  */
@@ -245,19 +479,14 @@ async function scanForResources() {
     }
     
     currentTabId = tab.id;
+    currentTabUrl = tab.url;
     
-    // Inject content script if needed
-    try {
-      await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        files: ['content/content.js']
-      });
-    } catch (e) {
-      // Script might already be injected
-    }
+    // A host profile may override the output format and normalization for this tab
+    await settingControlsBound;
+    await showEffectiveSettings(settingControls, currentTabUrl);
     
-    // Wait for script to initialize
-    await new Promise(resolve => setTimeout(resolve, 100));
+    // Inject content script if needed
+    await ensureContentScript(tab.id);
     
     // Request all resources from content script
     const response = await chrome.tabs.sendMessage(tab.id, { action: 'getAllResources' });
@@ -278,6 +507,10 @@ async function scanForResources() {
 // Event listeners
 refreshBtn.addEventListener('click', scanForResources);
 
+document.querySelectorAll('.view-tab').forEach(tab => {
+  tab.addEventListener('click', () => showView(tab.dataset.view));
+});
+
 resourcesList.addEventListener('click', (e) => {
   const button = e.target.closest('.download-btn');
   if (button && !button.disabled) {
@@ -286,6 +519,21 @@ resourcesList.addEventListener('click', (e) => {
   }
 });
 
+resourcesList.addEventListener('change', (e) => {
+  if (e.target.classList.contains('resource-select')) {
+    updateBatchControls();
+  }
+});
+
+selectAllCheckbox.addEventListener('change', (e) => {
+  resourcesList.querySelectorAll('.resource-select:not(:disabled)').forEach(checkbox => {
+    checkbox.checked = e.target.checked;
+  });
+  updateBatchControls();
+});
+
+batchExportBtn.addEventListener('click', handleBatchExport);
+
 // Highlight panel on hover
 resourcesList.addEventListener('mouseenter', async (e) => {
   const item = e.target.closest('.resource-item');
@@ -367,4 +615,12 @@ async function initAutoRefresh() {
 
 // Initialize
 initAutoRefresh();
+const settingControls = [
+  [document.getElementById('output-format'), 'outputFormat'],
+  [document.getElementById('normalize-exports'), 'normalizeExports'],
+];
+const settingControlsBound = Promise.all([
+  bindOutputFormatSelect(settingControls[0][0]),
+  bindSettingCheckbox(settingControls[1][0], 'normalizeExports'),
+]);
 scanForResources();
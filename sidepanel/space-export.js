@@ -0,0 +1,162 @@
+// Export Space view for the Kibana as Code side panel
+// Pages through every saved object in the current space and downloads them as a ZIP
+
+/**
+ * Saved object types offered for space export (all selected by default)
+ */
+const SPACE_EXPORT_TYPES = [
+  'dashboard',
+  'visualization',
+  'lens',
+  'search',
+  'map',
+  'index-pattern',
+  'query',
+  'tag',
+  'links',
+  'event-annotation-group',
+];
+
+// DOM elements
+const spaceExportTypes = document.getElementById('space-export-types');
+const spaceExportTags = document.getElementById('space-export-tags');
+const spaceExportBtn = document.getElementById('space-export-btn');
+const spaceExportProgress = document.getElementById('space-export-progress');
+const spaceExportStatus = document.getElementById('space-export-status');
+
+/**
+ * Render the type checkboxes
+ */
+function renderSpaceExportTypes() {
+  spaceExportTypes.innerHTML = '';
+  for (const type of SPACE_EXPORT_TYPES) {
+    const label = document.createElement('label');
+    label.innerHTML = `<input type="checkbox" value="${escapeHtml(type)}" checked> ${escapeHtml(type)}`;
+    spaceExportTypes.appendChild(label);
+  }
+}
+
+/**
+ * Load the tags of the current space into the tag filter
+ */
+async function loadSpaceExportTags() {
+  spaceExportTags.innerHTML = '';
+  try {
+    const tab = await getActiveKibanaTab();
+    if (!tab) {
+      return;
+    }
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'listTags' });
+    for (const tag of response?.tags || []) {
+      const option = document.createElement('option');
+      option.value = tag.id;
+      option.textContent = tag.name;
+      spaceExportTags.appendChild(option);
+    }
+  } catch (error) {
+    logger.warn('Error loading tags:', error);
+  }
+}
+
+/**
+ * Show the export status
+ */
+function showSpaceExportStatus(kind, message) {
+  spaceExportStatus.className = `import-status ${kind}`;
+  spaceExportStatus.textContent = message;
+}
+
+/**
+ * Export the selected types/tags of the current space and download them as a ZIP
+ */
+async function runSpaceExport() {
+  const types = Array.from(spaceExportTypes.querySelectorAll('input:checked')).map(input => input.value);
+  const tagIds = Array.from(spaceExportTags.selectedOptions).map(option => option.value);
+  if (types.length === 0) {
+    showSpaceExportStatus('error', 'Select at least one type');
+    return;
+  }
+
+  spaceExportBtn.disabled = true;
+  spaceExportProgress.removeAttribute('value');
+  spaceExportProgress.classList.remove('hidden');
+  showSpaceExportStatus('', 'Starting export...');
+
+  try {
+    const tab = await getActiveKibanaTab();
+    if (!tab) {
+      throw new Error('No active tab');
+    }
+
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'exportSpace', types, tagIds });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Export failed');
+    }
+    if (response.objects.length === 0) {
+      showSpaceExportStatus('error', 'No saved objects matched the selected types and tags');
+      return;
+    }
+
+    showSpaceExportStatus('', `Building ZIP of ${response.objects.length} objects...`);
+    const host = new URL(response.baseUrl).host;
+    const downloadResponse = await chrome.runtime.sendMessage({
+      action: 'downloadZip',
+      title: `${host} ${response.spaceId}`,
+      type: 'space',
+      spaceId: response.spaceId,
+      baseUrl: response.baseUrl,
+      files: response.objects.map(object => ({ ...object, fileExtension: 'ndjson' })),
+      manifest: {
+        kibana: response.baseUrl,
+        spaceId: response.spaceId,
+        exportedAt: new Date().toISOString(),
+        filters: {
+          types,
+          tags: Array.from(spaceExportTags.selectedOptions).map(option => option.textContent),
+        },
+        missingReferences: response.missingReferences,
+        ...(response.truncated ? { truncated: true, totalMatched: response.total } : {}),
+      },
+    });
+
+    if (!downloadResponse || !downloadResponse.success) {
+      throw new Error(downloadResponse?.error || 'Download failed');
+    }
+    if (response.truncated) {
+      // Kibana can't list more than 10,000 objects per search; narrow the types or tags to get the rest
+      showSpaceExportStatus('error', `Exported only the first ${downloadResponse.count} of ${response.total} objects (Kibana's search limit): ${downloadResponse.filename}. Select fewer types or tags to export the rest.`);
+    } else {
+      showSpaceExportStatus('success', `Exported ${downloadResponse.count} objects: ${downloadResponse.filename}`);
+    }
+  } catch (error) {
+    logger.error('Space export error:', error);
+    showSpaceExportStatus('error', error.message);
+  } finally {
+    spaceExportBtn.disabled = false;
+    spaceExportProgress.classList.add('hidden');
+  }
+}
+
+// Progress updates from the content script
+chrome.runtime.onMessage.addListener((request) => {
+  if (request.action === 'exportSpaceProgress') {
+    if (request.total > 0) {
+      spaceExportProgress.max = request.total;
+      spaceExportProgress.value = request.done;
+    }
+    if (request.message) {
+      showSpaceExportStatus('', request.message);
+    }
+  }
+  return false;
+});
+
+spaceExportBtn.addEventListener('click', runSpaceExport);
+
+document.addEventListener('viewchange', (e) => {
+  if (e.detail.viewId === 'space-view') {
+    loadSpaceExportTags();
+  }
+});
+
+renderSpaceExportTypes();
@@ -0,0 +1,24 @@
+// Tests for shared/connectors.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadShared } = require('./load-shared');
+
+loadShared('connectors.js');
+
+test('connectorSecretName never starts with a digit', () => {
+  assert.equal(connectorSecretName({ name: '2024 Slack' }, 'webhookUrl'), '_2024_SLACK_WEBHOOK_URL');
+  assert.equal(connectorSecretName({ name: 'Ops email' }, 'password'), 'OPS_EMAIL_PASSWORD');
+});
+
+test('redactConnector adds placeholders for the type\'s secret fields', () => {
+  const connector = { id: 'c1', name: 'Ops', connector_type_id: '.email', config: { service: 'other' } };
+  assert.deepEqual(redactConnector(connector).secrets, { user: '${OPS_USER}', password: '${OPS_PASSWORD}' });
+});
+
+test('redactConnector leaves preconfigured connectors and types without secrets alone', () => {
+  const preconfigured = { id: 'p', name: 'Slack', connector_type_id: '.slack', is_preconfigured: true };
+  const serverLog = { id: 's', name: 'Log', connector_type_id: '.server-log' };
+  assert.equal(redactConnector(preconfigured), preconfigured);
+  assert.equal(redactConnector(serverLog), serverLog);
+});
@@ -0,0 +1,32 @@
+// Tests for shared/diff.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadShared } = require('./load-shared');
+
+loadShared('saved-objects.js', 'diff.js');
+
+test('diffValues reports changed, added and removed paths', () => {
+  const changes = diffValues({ a: 1, b: { c: 2 }, d: 3 }, { a: 1, b: { c: 4 }, e: 5 });
+  assert.deepEqual(
+    changes.map(change => [change.kind, formatDiffPath(change.path)]).sort(),
+    [['added', 'e'], ['changed', 'b.c'], ['removed', 'd']].sort()
+  );
+});
+
+test('categorizeChange buckets panels, queries and attributes', () => {
+  assert.equal(categorizeChange({ path: [0, 'attributes', 'panelsJSON', 'p1', 'title'] }), 'panels');
+  assert.equal(categorizeChange({ path: [0, 'attributes', 'kibanaSavedObjectMeta', 'searchSourceJSON'] }), 'queries');
+  assert.equal(categorizeChange({ path: [0, 'attributes', 'title'] }), 'attributes');
+  assert.equal(categorizeChange({ path: [0, 'references', 1] }), 'other');
+});
+
+test('groupChangesByPanel groups changes under their panel', () => {
+  const changes = [
+    { kind: 'changed', path: [0, 'attributes', 'panelsJSON', 'p1', 'title'] },
+    { kind: 'changed', path: [0, 'attributes', 'panelsJSON', 'p1', 'gridData', 'w'] },
+    { kind: 'added', path: [0, 'attributes', 'panelsJSON', 'p2'] },
+  ];
+  const groups = Array.from(groupChangesByPanel(changes).values());
+  assert.deepEqual(groups.map(group => [group.index, group.changes.length]), [['p1', 2], ['p2', 1]]);
+});
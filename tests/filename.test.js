@@ -0,0 +1,41 @@
+// Tests for shared/filename.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadShared } = require('./load-shared');
+
+loadShared('filename.js');
+
+const DATE = new Date(2024, 0, 5);
+
+test('getFilenameValues fills every placeholder', () => {
+  const values = getFilenameValues({
+    title: 'Web Traffic',
+    type: 'lens',
+    subType: 'bar stacked',
+    id: 'abc',
+    spaceId: 'ops',
+    baseUrl: 'https://kibana.example.com:5601/base',
+  }, DATE);
+  assert.deepEqual(values, {
+    title: 'Web Traffic',
+    type: 'lens',
+    subType: 'bar stacked',
+    id: 'abc',
+    space: 'ops',
+    nonDefaultSpace: 'ops',
+    host: 'kibana.example.com:5601',
+    date: '2024-01-05',
+  });
+});
+
+test('getFilenameValues leaves nonDefaultSpace empty in the default space', () => {
+  assert.equal(getFilenameValues({ spaceId: 'default' }, DATE).nonDefaultSpace, '');
+  assert.equal(getFilenameValues({}, DATE).space, 'default');
+});
+
+test('the migrated space template only prefixes non-default spaces', () => {
+  const settings = { filenameTemplate: '{nonDefaultSpace}-{title}-{type}' };
+  assert.equal(generateFilename({ title: 'Overview', type: 'dashboard', spaceId: 'default' }, 'ndjson', settings), 'Overview-dashboard.ndjson');
+  assert.equal(generateFilename({ title: 'Overview', type: 'dashboard', spaceId: 'ops' }, 'ndjson', settings), 'ops-Overview-dashboard.ndjson');
+});
@@ -0,0 +1,104 @@
+// Tests for shared/fleet.js and the Fleet create-ready export
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadShared } = require('./load-shared');
+
+loadShared('saved-objects.js', 'connectors.js', 'fleet.js', 'create-ready.js');
+
+/**
+ * A package policy with a short password, one YAML would quote, and a secret storage reference
+ */
+const PACKAGE_POLICY = {
+  id: 'pp-1',
+  name: 'mysql-1',
+  package: { name: 'mysql', title: 'MySQL', version: '1.0.0' },
+  vars: { password: { type: 'password', value: 'pw' } },
+  inputs: [{
+    type: 'mysql/metrics',
+    enabled: true,
+    vars: { hosts: { type: 'text', value: ['tcp(db:3306)/'] } },
+    streams: [{
+      id: 'mysql-status',
+      data_stream: { dataset: 'mysql.status' },
+      vars: {
+        password: { type: 'password', value: 'it\'s: "quoted"\\n' },
+        api_key: { type: 'text', value: { isSecretRef: true, id: 'secret-1' } },
+      },
+    }],
+  }],
+};
+
+test('redactPackagePolicySecrets replaces password and secret storage vars', () => {
+  const { packagePolicy, secrets } = redactPackagePolicySecrets(PACKAGE_POLICY);
+  assert.equal(packagePolicy.vars.password.value, '${MYSQL_1_PASSWORD}');
+  const streamVars = packagePolicy.inputs[0].streams[0].vars;
+  assert.equal(streamVars.password.value, '${MYSQL_1_MYSQL_STATUS_PASSWORD}');
+  assert.equal(streamVars.api_key.value, '${MYSQL_1_MYSQL_STATUS_API_KEY}');
+  assert.deepEqual(secrets.map(secret => secret.value), ['pw', 'it\'s: "quoted"\\n', null]);
+});
+
+test('fleetSecretName never starts with a digit', () => {
+  assert.equal(fleetSecretName(['1password', 'token']), '_1PASSWORD_TOKEN');
+});
+
+test('redactFullAgentPolicy replaces short, quoted and embedded secrets', () => {
+  const secrets = [
+    { name: 'SHORT', value: 'pw' },
+    { name: 'QUOTED', value: 'it\'s: "quoted"\\n' },
+    { name: 'STORED', value: null },
+  ];
+  const policy = {
+    inputs: [{ streams: [{ password: 'pw', dsn: 'user:it\'s: "quoted"\\n@tcp(db)', enabled: true, port: 3306 }] }],
+  };
+  assert.deepEqual(JSON.parse(JSON.stringify(redactFullAgentPolicy(policy, secrets))), {
+    inputs: [{ streams: [{ password: '${SHORT}', dsn: 'user:${QUOTED}@tcp(db)', enabled: true, port: 3306 }] }],
+  });
+});
+
+test('fullAgentPolicyToYaml quotes strings and reserved keys', () => {
+  const yaml = fullAgentPolicyToYaml({
+    id: 'policy',
+    on: true,
+    'has space': 1,
+    inputs: [{ type: 'mysql/metrics', hosts: ['db:3306'], processors: [] }],
+    meta: {},
+  });
+  assert.equal(yaml, [
+    'id: "policy"',
+    '"on": true',
+    '"has space": 1',
+    'inputs:',
+    '  -',
+    '    type: "mysql/metrics"',
+    '    hosts:',
+    '      - "db:3306"',
+    '    processors: []',
+    'meta: {}',
+    '',
+  ].join('\n'));
+});
+
+test('agent policy exports keep no plaintext secret in any file', () => {
+  const bundle = {
+    agentPolicy: { id: 'ap-1', name: 'Databases', namespace: 'default', revision: 4 },
+    packagePolicies: [PACKAGE_POLICY],
+    fullAgentPolicy: {
+      id: 'ap-1',
+      inputs: [{ type: 'mysql/metrics', streams: [{ password: 'pw' }, { password: 'it\'s: "quoted"\\n' }] }],
+    },
+  };
+  const { content, companions } = prepareExport(JSON.stringify(bundle), 'agent-policy');
+  const [fullPolicy] = companions;
+  assert.equal(fullPolicy.suffix, 'full-policy');
+  for (const text of [content, fullPolicy.content]) {
+    assert.ok(!text.includes('"pw"'), text);
+    assert.ok(!text.includes('quoted'), text);
+  }
+  assert.match(fullPolicy.content, /password: "\$\{MYSQL_1_PASSWORD\}"/);
+});
+
+test('full agent policies exported as YAML text are left out', () => {
+  const bundle = { agentPolicy: { id: 'ap-1', name: 'Databases' }, packagePolicies: [PACKAGE_POLICY], fullAgentPolicy: 'password: pw\n' };
+  assert.deepEqual(prepareExport(JSON.stringify(bundle), 'agent-policy').companions, []);
+});
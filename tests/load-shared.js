@@ -0,0 +1,23 @@
+// Test helper for Kibana as Code
+// Runs shared/ scripts as plain scripts in one global scope, the way the extension pages load them
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/**
+ * Silent stand-in for shared/logger.js
+ */
+globalThis.logger = { log() {}, warn() {}, error() {} };
+
+/**
+ * Load shared scripts in order (dependencies first); their functions become globals
+ */
+function loadShared(...files) {
+  for (const file of files) {
+    const filename = path.join(__dirname, '..', 'shared', file);
+    vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+  }
+}
+
+module.exports = { loadShared };
@@ -0,0 +1,53 @@
+// Tests for shared/saved-objects.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadShared } = require('./load-shared');
+
+loadShared('saved-objects.js');
+
+/**
+ * Parse normalized NDJSON back into objects
+ */
+function parseLines(content) {
+  return content.trim().split('\n').map(line => JSON.parse(line));
+}
+
+test('normalizeSecurityNdjson keeps rule versions and sorts by rule_id', () => {
+  const content = [
+    JSON.stringify({ rule_id: 'b', type: 'eql', version: 3, updated_at: '2024-01-02', execution_summary: {} }),
+    JSON.stringify({ rule_id: 'a', type: 'query', version: 7, created_at: '2024-01-01' }),
+    JSON.stringify({ exported_count: 2, exported_rules_count: 2 }),
+  ].join('\n');
+  assert.deepEqual(parseLines(normalizeSecurityNdjson(content, 'security-rule')), [
+    { rule_id: 'a', type: 'query', version: 7 },
+    { rule_id: 'b', type: 'eql', version: 3 },
+  ]);
+});
+
+test('normalizeSecurityNdjson sorts exception lists before their items', () => {
+  const content = [
+    JSON.stringify({ list_id: 'l1', item_id: 'i2', _version: 'WzEsMV0=' }),
+    JSON.stringify({ list_id: 'l1', name: 'List' }),
+    JSON.stringify({ list_id: 'l1', item_id: 'i1' }),
+    JSON.stringify({ exported_exception_list_count: 1 }),
+  ].join('\n');
+  assert.deepEqual(parseLines(normalizeSecurityNdjson(content, 'exception-list')), [
+    { list_id: 'l1', name: 'List' },
+    { item_id: 'i1', list_id: 'l1' },
+    { item_id: 'i2', list_id: 'l1' },
+  ]);
+});
+
+test('normalizeExport routes security types to their own normalizer', () => {
+  const rule = JSON.stringify({ rule_id: 'a', type: 'query', version: 2 });
+  assert.deepEqual(parseLines(normalizeExport(rule, 'ndjson', 'security-rule')), [{ rule_id: 'a', type: 'query', version: 2 }]);
+  assert.ok(isSecurityNdjsonType('timeline'));
+  assert.ok(!isSecurityNdjsonType('dashboard'));
+});
+
+test('isExportSummary tells summary lines from objects', () => {
+  assert.ok(isExportSummary({ exportedCount: 1, missingRefCount: 0 }));
+  assert.ok(isExportSummary({ exported_exception_list_count: 1 }));
+  assert.ok(!isExportSummary({ type: 'dashboard', id: 'd1', exportedCount: 1 }));
+});
@@ -0,0 +1,51 @@
+// Tests for shared/terraform.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadShared } = require('./load-shared');
+
+loadShared('connectors.js', 'fleet.js', 'terraform.js');
+
+test('hclString keeps escaped backslashes before b and f', () => {
+  assert.equal(hclString('C:\\backup\\files'), '"C:\\\\backup\\\\files"');
+});
+
+test('hclString escapes backspace and form feed as unicode escapes', () => {
+  assert.equal(hclString('a\bb\fc'), '"a\\u0008b\\u000cc"');
+});
+
+test('hclString escapes template sequences', () => {
+  assert.equal(hclString('${var} and %{if}'), '"$${var} and %%{if}"');
+});
+
+test('toResourceName never starts with a digit', () => {
+  assert.equal(toResourceName('2024 Slack!'), '_2024_slack');
+  assert.equal(toResourceName(''), 'untitled');
+});
+
+test('terraformVariableName keeps placeholder names valid identifiers', () => {
+  assert.equal(terraformVariableName('SLACK_WEBHOOK_URL'), 'slack_webhook_url');
+  assert.equal(terraformVariableName('_2024_SLACK_TOKEN'), '_2024_slack_token');
+});
+
+test('dedupeResourceLabels adds the ID to repeated labels', () => {
+  const blocks = [
+    { labels: ['elasticstack_kibana_slo', 'latency'] },
+    { labels: ['elasticstack_kibana_slo', 'latency'] },
+    { labels: ['elasticstack_kibana_slo', 'errors'] },
+  ];
+  dedupeResourceLabels(blocks, ['a1', 'b2', 'c3']);
+  assert.deepEqual(blocks.map(block => block.labels[1]), ['latency', 'latency_b2', 'errors']);
+});
+
+test('connector lists get one resource per connector and one variable per secret', () => {
+  const connectors = [
+    { id: 'one', name: 'Alerts', connector_type_id: '.slack', config: {} },
+    { id: 'two', name: 'Alerts', connector_type_id: '.slack', config: {} },
+  ];
+  const terraform = toTerraform(JSON.stringify(connectors), { type: 'action' });
+  assert.match(terraform, /resource "elasticstack_kibana_action_connector" "alerts"/);
+  assert.match(terraform, /resource "elasticstack_kibana_action_connector" "alerts_two"/);
+  assert.equal(terraform.match(/variable "alerts_webhook_url"/g).length, 1);
+  assert.match(terraform, /sensitive\s*=\s*true/);
+});